@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { TOKEN_SCOPE_NAMES } = require('../utils/permissions');
+
+// Personal API token; only the SHA-256 of the secret is stored
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the secret, so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: TOKEN_SCOPE_NAMES }],
+    default: ['read']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiTokenSchema.index({ userId: 1, createdAt: -1 });
+
+apiTokenSchema.methods.toPublic = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    username: this.username,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
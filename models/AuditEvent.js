@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Append-only record of who changed what; see utils/audit.js
+const auditEventSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // e.g. "plugin.update", "auth.login", "check.run"
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    username: { type: String, default: null },
+    userId:   { type: String, default: null },
+    // Set when the request was authenticated with an API token
+    tokenId:  { type: String, default: null },
+    ip:       { type: String, default: null }
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  targetType: {
+    type: String,
+    default: null
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+  targetName: {
+    type: String,
+    default: null
+  },
+  productType: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Field-level summary of before → after
+  changes: {
+    type: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+    default: []
+  },
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+});
+
+auditEventSchema.index({ at: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, at: -1 });
+auditEventSchema.index({ 'actor.username': 1, at: -1 });
+
+function appendOnly(next) {
+  next(new Error('Audit events are append-only'));
+}
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+ 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  auditEventSchema.pre(op, appendOnly);
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
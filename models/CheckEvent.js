@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Progress stream of a check job, replayed to clients that reconnect (Last-Event-ID)
+const checkEventSchema = new mongoose.Schema({
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckRun',
+    required: true
+  },
+  // 1, 2, 3 … per run
+  seq: {
+    type: Number,
+    required: true
+  },
+  // The SSE payload: { type: 'start' | 'progress' | 'pluginResult' | 'paused' | 'complete' | 'cancelled' | 'error', ... }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+checkEventSchema.index({ runId: 1, seq: 1 }, { unique: true });
+// Streams are only needed while a job is watched; drop them after a week
+checkEventSchema.index({ at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CheckEvent', checkEventSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { PRODUCT_TYPES } = require('../utils/products');
+
+const checkRunSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: PRODUCT_TYPES,
+    required: true
+  },
+  targetDCVersion: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // All targets of a multi-target check; targetDCVersion holds the first one
+  targetDCVersions: {
+    type: [String],
+    default: []
+  },
+  // DC version the instance runs today, when a staged upgrade path was requested
+  currentDCVersion: {
+    type: String,
+    trim: true
+  },
+  runBy: {
+    type: String,
+    required: true
+  },
+  // Set when the run was started by a scheduled watch
+  watchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watch',
+    default: null
+  },
+  // queued → running (one or more chunks, see utils/checkJobs.js) → completed | failed | cancelled
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'running'
+  },
+  cancelledBy: {
+    type: String,
+    default: null
+  },
+  // Ignore cached version histories for this run
+  refresh: {
+    type: Boolean,
+    default: false
+  },
+  progress: {
+    done: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  // Held by the request currently processing a chunk; an expired lease can be taken over
+  lease: {
+    owner: { type: String, default: null },
+    expiresAt: { type: Date, default: null }
+  },
+  // Snapshot of the inventory as it was when the check ran
+  plugins: [{
+    _id: false,
+    pluginId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    marketplaceUrl: String,
+    currentVersion: String
+  }],
+  // Full per-plugin output of checkCompatibility(), same order as `plugins`;
+  // null marks a plugin a job has not checked yet
+  results: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    compatible: { type: Number, default: 0 },
+    notCompatible: { type: Number, default: 0 },
+    needsUpgrade: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+checkRunSchema.index({ type: 1, startedAt: -1 });
+
+module.exports = mongoose.model('CheckRun', checkRunSchema);
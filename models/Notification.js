@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// In-app notification for one user; see utils/notifications.js
+const notificationSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  // 'compatible_version_available' | 'recommended_version_changed'
+  kind: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  watchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watch',
+    default: null
+  },
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckRun',
+    default: null
+  },
+  pluginId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plugin',
+    default: null
+  },
+  // Kind-specific details (plugin name, target version, from / to)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ username: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
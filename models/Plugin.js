@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
+const { PRODUCT_TYPES } = require('../utils/products');
+const { SUPPORT_TYPES } = require('../utils/marketplaceParsers');
 
 const pluginSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['jira', 'confluence'],
+    enum: PRODUCT_TYPES,
     required: true
   },
   name: {
@@ -16,6 +18,11 @@ const pluginSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Atlassian app key (e.g. "com.onresolve.jira.groovy.groovyrunner"), set by UPM import
+  appKey: {
+    type: String,
+    trim: true
+  },
   currentVersion: {
     type: String,
     required: true,
@@ -25,6 +32,18 @@ const pluginSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Vendor, support and Data Center status as read by the last check (parseMarketplaceInfo())
+  marketplaceInfo: {
+    vendorName: { type: String, default: null },
+    vendorUrl: { type: String, default: null },
+    supportedBy: { type: String, enum: Object.values(SUPPORT_TYPES), default: null },
+    dcApproved: { type: Boolean, default: null },
+    lastReleaseDate: { type: String, default: null },
+    dcEndOfSupportAnnounced: { type: Boolean, default: null },
+    dcEndOfSupportDate: { type: String, default: null },
+    dcEndOfSupportUrl: { type: String, default: null },
+    checkedAt: { type: Date, default: null }
+  },
   createdAt: {
     type: Date,
     default: Date.now
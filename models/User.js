@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  // "scrypt$<salt hex>$<key hex>", see utils/passwords.js
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  // Sessions opened before this are signed out (password change / reset / disable)
+  passwordChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/** Fields safe to send to the browser */
+userSchema.methods.toPublic = function () {
+  return {
+    _id: this._id,
+    username: this.username,
+    displayName: this.displayName || this.username,
+    role: this.role,
+    disabled: this.disabled,
+    lastLoginAt: this.lastLoginAt || null,
+    createdBy: this.createdBy || null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
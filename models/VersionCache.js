@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Raw Marketplace version history per addon, so repeated checks skip the scrape
+const versionCacheSchema = new mongoose.Schema({
+  // Product type + Marketplace addon ID when the URL carries one, otherwise slug or URL
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  versions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Cloud hosting / migration-path summary from the addon listing
+  cloud: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Vendor, support and DC status from the listing (parseMarketplaceInfo())
+  marketplaceInfo: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('VersionCache', versionCacheSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { PRODUCT_TYPES } = require('../utils/products');
+
+// Saved re-check of a plugin set against a target DC version; see utils/watches.js
+const watchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PRODUCT_TYPES,
+    required: true
+  },
+  // Empty means every plugin of `type` at the time of each run
+  pluginIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  targetDCVersion: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  intervalMinutes: {
+    type: Number,
+    default: 24 * 60
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Usernames notified of changes; defaults to the creator
+  recipients: {
+    type: [String],
+    default: []
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CheckRun',
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Per-plugin outcome of the last completed run, compared with the next one
+  state: [{
+    _id: false,
+    pluginId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    compatibleCount: Number,
+    recommendedVersion: String,
+    checkedAt: Date
+  }],
+  createdBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+watchSchema.index({ enabled: 1, nextRunAt: 1 });
+
+watchSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Watch', watchSchema);
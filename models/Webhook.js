@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { PRODUCT_TYPES } = require('../utils/products');
+const { WEBHOOK_EVENT_NAMES, WEBHOOK_FORMATS } = require('../utils/webhookPayloads');
+
+// Outbound webhook for check outcomes; see utils/webhooks.js
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // HMAC-SHA256 key for the X-Webhook-Signature header; never returned after creation
+  secret: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENT_NAMES }],
+    default: WEBHOOK_EVENT_NAMES
+  },
+  // Empty means every product
+  productTypes: {
+    type: [{ type: String, enum: PRODUCT_TYPES }],
+    default: []
+  },
+  // 'json' is the signed payload; 'slack' / 'teams' post a chat message instead
+  format: {
+    type: String,
+    enum: WEBHOOK_FORMATS,
+    default: 'json'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+/** Fields safe to send to the browser */
+webhookSchema.methods.toPublic = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    url: this.url,
+    secretHint: `…${this.secret.slice(-4)}`,
+    events: this.events,
+    productTypes: this.productTypes,
+    format: this.format,
+    enabled: this.enabled,
+    createdBy: this.createdBy || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -6,17 +6,39 @@ const MongoStore = require('connect-mongo');
 const mongoose = require('mongoose');
 const path = require('path');
 const Plugin = require('./models/Plugin');
-const { checkCompatibility } = require('./utils/scraper');
-const { generateExcel } = require('./utils/excelGenerator');
+const CheckRun = require('./models/CheckRun');
+const User = require('./models/User');
+const ApiToken = require('./models/ApiToken');
+const AuditEvent = require('./models/AuditEvent');
+const Watch = require('./models/Watch');
+const Notification = require('./models/Notification');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const { parseTargetVersions, extractAddonIdentifiers } = require('./utils/scraper');
+const { generateExcel, generateDiffExcel, generateInventoryExcel } = require('./utils/excelGenerator');
+const { diffRuns } = require('./utils/runDiff');
+const { importFromUpm } = require('./utils/upmImporter');
+const { PRODUCT_TYPES, isValidProductType, productLabel, invalidProductTypeMessage } = require('./utils/products');
+const { parseInventoryFile, validateInventoryRows, detectFormat } = require('./utils/inventoryImport');
+const { EXPORT_COLUMNS, buildExportRows, toCsv } = require('./utils/inventoryExport');
+const { hashPassword, verifyPassword, passwordProblem, generateTemporaryPassword, bootstrapInitialAdmin } = require('./utils/passwords');
+const { ROLES, LEGACY_ROLES, isValidRole, normalizeRole, can, permissionsFor, tokenScopeProblem, requirePermission } = require('./utils/permissions');
+const { bearerToken, isCronRequest, resolveExpiry, createApiToken, authenticateToken } = require('./utils/apiTokens');
+const { AUDIT_EXPORT_COLUMNS, pluginEvent, watchEvent, webhookEvent, diffSnapshots, recordAudit, buildAuditFilter, buildAuditRows } = require('./utils/audit');
+const { createCheckJob, processJobChunk, cancelCheckJob, driveInBackground, resumePendingJobs, streamJob, parseEventId, jobView } = require('./utils/checkJobs');
+const { parseWatchInput, startWatchRun, tickWatches, startWatchScheduler } = require('./utils/watches');
+const {
+  generateWebhookSecret, parseWebhookInput, sendTestDelivery, redeliver, retryDueDeliveries, startWebhookRetries
+} = require('./utils/webhooks');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('./utils/webhookPayloads');
+const { loadReleaseNoteRules } = require('./utils/releaseNotes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const AUDIT_EXPORT_LIMIT = 50000;
 
-// ─── Hardcoded credentials ───────────────────────────────────────────────────
-const USERS = [
-  { username: 'admin', password: 'Admin@123', role: 'admin', displayName: 'Administrator' },
-  { username: 'developer', password: 'Dev@456', role: 'user', displayName: 'Developer' }
-];
+// Report a broken RELEASE_NOTES_RULES file at startup instead of on the first check
+loadReleaseNoteRules();
 
 // ─── MongoDB Connection ───────────────────────────────────────────────────────
 const MONGO_URI = process.env.MONGO_URI;
@@ -25,15 +47,33 @@ mongoose.connect(MONGO_URI, {
   serverSelectionTimeoutMS: 5000,
   bufferCommands: false
 })
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(() => {
+    console.log('✅ MongoDB connected');
+    return migrateLegacyRoles()
+      .then(() => bootstrapInitialAdmin())
+      .then(() => resumePendingJobs())
+      .then(count => { if (count) console.log(`🔁 Resuming ${count} unfinished check job(s)`); })
+      .then(() => { if (startWatchScheduler()) console.log('⏰ Watch scheduler running'); })
+      .then(() => { startWebhookRetries(); });
+  })
   .catch(err => {
     console.error('❌ MongoDB connection failed:', err.message);
     console.error('🔧 Check your MONGO_URI in .env file');
     process.exit(1);
   });
 
+// Rename pre-viewer/editor roles (e.g. "user" → "editor") so existing accounts validate
+async function migrateLegacyRoles() {
+  for (const [legacy, role] of Object.entries(LEGACY_ROLES)) {
+    await User.updateMany({ role: legacy }, { $set: { role } });
+  }
+}
+
 // ─── Middleware ───────────────────────────────────────────────────────────────
-app.use(express.json());
+// Inventory files are read raw whatever their Content-Type (curl --data-binary sends a form type),
+// so this has to run before the JSON / form parsers below
+app.use('/api/plugins/import/file', express.raw({ type: () => true, limit: '5mb' }));
+app.use(express.json({ limit: '5mb' })); // UPM exports can be large
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 app.use(express.static(path.join(__dirname, 'public')));  // local fallback
@@ -49,23 +89,91 @@ app.use(session({
 }));
 
 // ─── Auth Middleware ──────────────────────────────────────────────────────────
-function requireAuth(req, res, next) {
-  if (req.session && req.session.user) return next();
-  res.status(401).json({ error: 'Unauthorized. Please login.' });
+function sessionUser(user) {
+  const role = normalizeRole(user.role);
+  return {
+    id: String(user._id),
+    username: user.username,
+    role,
+    displayName: user.displayName || user.username,
+    permissions: permissionsFor(role)
+  };
+}
+
+// Sets req.user from an `Authorization: Bearer` API token or the login session.
+// The user is re-read so disabling, role changes and password resets take effect immediately.
+async function requireAuth(req, res, next) {
+  const secret = bearerToken(req);
+  try {
+    if (secret) {
+      const auth = await authenticateToken(secret);
+      if (auth.error) return res.status(401).json({ error: auth.error });
+      const { token, user } = auth;
+      req.user = {
+        ...sessionUser(user),
+        permissions: permissionsFor(normalizeRole(user.role)).filter(a => can(user.role, a, token.scopes)),
+        tokenId: String(token._id),
+        scopes: token.scopes
+      };
+      return next();
+    }
+
+    if (!req.session || !req.session.user) {
+      return res.status(401).json({ error: 'Unauthorized. Please login.' });
+    }
+    const user = req.session.user.id ? await User.findById(req.session.user.id).lean() : null;
+    const signedOutAt = user ? new Date(user.passwordChangedAt).getTime() : 0;
+    if (!user || user.disabled || (req.session.loginAt || 0) < signedOutAt) {
+      return req.session.destroy(() => res.status(401).json({ error: 'Session expired. Please login again.' }));
+    }
+    req.session.user = sessionUser(user);
+    req.user = req.session.user;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Account and token management need an interactive login, never an API token
+function requireSession(req, res, next) {
+  if (!req.user.tokenId) return next();
+  res.status(403).json({ error: 'This action is not available with an API token. Please login.' });
 }
 
 // ─── Auth Routes ──────────────────────────────────────────────────────────────
-app.post('/api/login', (req, res) => {
+app.post('/api/login', async (req, res) => {
   const { username, password } = req.body;
-  const user = USERS.find(u => u.username === username && u.password === password);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid username or password.' });
+  try {
+    const attempted = String(username || '').trim().toLowerCase();
+    const user = await User.findOne({ username: attempted });
+    const loginEvent = (outcome, reason) => ({
+      action: 'auth.login', outcome, targetType: 'user',
+      targetId: user ? String(user._id) : null, targetName: attempted,
+      meta: reason ? { reason } : null
+    });
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      await recordAudit(req, loginEvent('failure', 'invalid credentials'), { username: attempted });
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+    if (user.disabled) {
+      await recordAudit(req, loginEvent('failure', 'account disabled'), { username: attempted });
+      return res.status(403).json({ error: 'This account is disabled.' });
+    }
+    user.lastLoginAt = new Date();
+    await user.save();
+    req.session.user = sessionUser(user);
+    req.session.loginAt = Date.now();
+    await recordAudit(req, loginEvent('success'));
+    res.json({ success: true, user: req.session.user });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  req.session.user = { username: user.username, role: user.role, displayName: user.displayName };
-  res.json({ success: true, user: req.session.user });
 });
 
-app.post('/api/logout', (req, res) => {
+app.post('/api/logout', async (req, res) => {
+  if (req.session && req.session.user) {
+    await recordAudit(req, { action: 'auth.logout', targetType: 'user', targetId: req.session.user.id, targetName: req.session.user.username });
+  }
   req.session.destroy();
   res.json({ success: true });
 });
@@ -78,13 +186,202 @@ app.get('/api/me', (req, res) => {
   }
 });
 
+// Self-service password change; other sessions of this user are signed out
+app.post('/api/me/password', requireAuth, requireSession, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  try {
+    const user = await User.findById(req.user.id);
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      return res.status(400).json({ error: 'Current password is incorrect.' });
+    }
+    const problem = passwordProblem(newPassword);
+    if (problem) return res.status(400).json({ error: problem });
+
+    user.passwordHash = await hashPassword(newPassword);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    req.session.loginAt = Date.now();
+    await recordAudit(req, { action: 'auth.password_change', targetType: 'user', targetId: String(user._id), targetName: user.username });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── API Token Routes ────────────────────────────────────────────────────────
+// List your own tokens (admins: ?all=true lists everyone's)
+app.get('/api/tokens', requireAuth, requireSession, async (req, res) => {
+  try {
+    const all = req.query.all === 'true' && can(req.user.role, 'users:manage');
+    const tokens = await ApiToken.find(all ? {} : { userId: req.user.id }).sort({ createdAt: -1 });
+    res.json(tokens.map(t => t.toPublic()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a token; the secret is only ever returned in this response
+app.post('/api/tokens', requireAuth, requireSession, async (req, res) => {
+  const { name, expiresInDays, expiresAt } = req.body;
+  const scopes = req.body.scopes === undefined ? ['read'] : [].concat(req.body.scopes);
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: 'name is required.' });
+  }
+  const problem = tokenScopeProblem(req.user.role, scopes);
+  if (problem) return res.status(400).json({ error: problem });
+
+  try {
+    const expiry = resolveExpiry({ expiresInDays, expiresAt });
+    const { token, secret } = await createApiToken(req.user, { name, scopes, expiresAt: expiry });
+    await recordAudit(req, {
+      action: 'token.create', targetType: 'token', targetId: String(token._id), targetName: token.name,
+      after: { scopes: token.scopes, expiresAt: token.expiresAt, owner: token.username }
+    });
+    res.status(201).json({ ...token.toPublic(), token: secret });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Revoke one of your tokens (admins may revoke any)
+app.delete('/api/tokens/:id', requireAuth, requireSession, async (req, res) => {
+  try {
+    const token = await ApiToken.findById(req.params.id);
+    if (!token || (String(token.userId) !== req.user.id && !can(req.user.role, 'users:manage'))) {
+      return res.status(404).json({ error: 'Token not found.' });
+    }
+    if (!token.revokedAt) {
+      token.revokedAt = new Date();
+      await token.save();
+      await recordAudit(req, {
+        action: 'token.revoke', targetType: 'token', targetId: String(token._id), targetName: token.name,
+        meta: { owner: token.username }
+      });
+    }
+    res.json({ success: true, token: token.toPublic() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── User Administration Routes ──────────────────────────────────────────────
+/** True if the change would leave no enabled admin */
+async function wouldRemoveLastAdmin(user, changes) {
+  if (user.role !== 'admin' || user.disabled) return false;
+  const losesAdmin = changes.disabled === true || (changes.role !== undefined && changes.role !== 'admin');
+  if (!losesAdmin) return false;
+  return (await User.countDocuments({ role: 'admin', disabled: false })) <= 1;
+}
+
+app.get('/api/users', requireAuth, requireSession, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json(users.map(u => u.toPublic()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users', requireAuth, requireSession, requirePermission('users:manage'), async (req, res) => {
+  const { username, password, displayName, role } = req.body;
+  if (!username || !String(username).trim()) {
+    return res.status(400).json({ error: 'username is required.' });
+  }
+  if (role !== undefined && !isValidRole(role)) {
+    return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}.` });
+  }
+  const problem = passwordProblem(password);
+  if (problem) return res.status(400).json({ error: problem });
+
+  try {
+    const user = await User.create({
+      username,
+      displayName,
+      role,
+      passwordHash: await hashPassword(password),
+      createdBy: req.user.username
+    });
+    await recordAudit(req, {
+      action: 'user.create', targetType: 'user', targetId: String(user._id), targetName: user.username,
+      after: { role: user.role, displayName: user.displayName, disabled: user.disabled }
+    });
+    res.status(201).json(user.toPublic());
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: `User "${username}" already exists.` });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Update display name / role, or disable / re-enable an account
+app.put('/api/users/:id', requireAuth, requireSession, requirePermission('users:manage'), async (req, res) => {
+  const { displayName, role, disabled } = req.body;
+  if (role !== undefined && !isValidRole(role)) {
+    return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}.` });
+  }
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (String(user._id) === req.user.id && (disabled === true || (role !== undefined && role !== user.role))) {
+      return res.status(400).json({ error: 'You cannot disable your own account or change your own role.' });
+    }
+    if (await wouldRemoveLastAdmin(user, { role, disabled })) {
+      return res.status(400).json({ error: 'At least one enabled admin is required.' });
+    }
+
+    const snapshot = u => ({ displayName: u.displayName || null, role: u.role, disabled: u.disabled });
+    const before = snapshot(user);
+    if (displayName !== undefined) user.displayName = displayName;
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) {
+      user.disabled = !!disabled;
+      if (user.disabled) user.passwordChangedAt = new Date();
+    }
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.update', targetType: 'user', targetId: String(user._id), targetName: user.username,
+      before, after: snapshot(user), changes: diffSnapshots(before, snapshot(user))
+    });
+    res.json(user.toPublic());
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Set a new password (or generate a temporary one, returned once) and sign the user out
+app.post('/api/users/:id/reset-password', requireAuth, requireSession, requirePermission('users:manage'), async (req, res) => {
+  const generated = !req.body.password;
+  const password = generated ? generateTemporaryPassword() : req.body.password;
+  const problem = passwordProblem(password);
+  if (problem) return res.status(400).json({ error: problem });
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    user.passwordHash = await hashPassword(password);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.reset_password', targetType: 'user', targetId: String(user._id), targetName: user.username,
+      meta: { generated }
+    });
+    res.json({ success: true, user: user.toPublic(), ...(generated ? { temporaryPassword: password } : {}) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Product Registry Route ──────────────────────────────────────────────────
+app.get('/api/products', requireAuth, requirePermission('plugins:read'), (req, res) => {
+  res.json(PRODUCT_TYPES.map(type => ({ type, label: productLabel(type) })));
+});
+
 // ─── Plugin CRUD Routes ───────────────────────────────────────────────────────
 // Get all plugins for a type
-app.get('/api/plugins/:type', requireAuth, async (req, res) => {
+app.get('/api/plugins/:type', requireAuth, requirePermission('plugins:read'), async (req, res) => {
   try {
     const { type } = req.params;
-    if (!['jira', 'confluence'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid type. Use "jira" or "confluence".' });
+    if (!isValidProductType(type)) {
+      return res.status(400).json({ error: invalidProductTypeMessage() });
     }
     const plugins = await Plugin.find({ type }).sort({ name: 1 });
     res.json(plugins);
@@ -93,8 +390,48 @@ app.get('/api/plugins/:type', requireAuth, async (req, res) => {
   }
 });
 
+// Export the inventory for backup / migration (?format=xlsx|csv|json)
+app.get('/api/plugins/:type/export', requireAuth, requirePermission('plugins:read'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const format = req.query.format || 'json';
+    if (!isValidProductType(type)) {
+      return res.status(400).json({ error: invalidProductTypeMessage() });
+    }
+    if (!['xlsx', 'csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Use "xlsx", "csv" or "json".' });
+    }
+
+    const [plugins, runs] = await Promise.all([
+      Plugin.find({ type }).sort({ name: 1 }),
+      CheckRun.find({ type, status: 'completed' })
+        .select('plugins results.compatible results.recommendedVersion results.error targetDCVersion startedAt completedAt')
+        .sort({ startedAt: -1 })
+        .limit(20)
+    ]);
+    const rows = buildExportRows(plugins, runs);
+    const basename = `${type}-inventory-${Date.now()}`;
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.json"`);
+      return res.json({ type, exportedAt: new Date().toISOString(), count: rows.length, plugins: rows });
+    }
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.csv"`);
+      return res.send(toCsv(rows));
+    }
+    const buffer = await generateInventoryExcel(rows, EXPORT_COLUMNS, type);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.xlsx"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Add a plugin
-app.post('/api/plugins', requireAuth, async (req, res) => {
+app.post('/api/plugins', requireAuth, requirePermission('plugins:write'), async (req, res) => {
   try {
     const { type, name, marketplaceUrl, currentVersion, notes } = req.body;
     if (!type || !name || !marketplaceUrl || !currentVersion) {
@@ -102,6 +439,7 @@ app.post('/api/plugins', requireAuth, async (req, res) => {
     }
     const plugin = new Plugin({ type, name, marketplaceUrl, currentVersion, notes });
     await plugin.save();
+    await recordAudit(req, pluginEvent('plugin.create', null, plugin, { via: 'api' }));
     res.status(201).json(plugin);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -109,10 +447,13 @@ app.post('/api/plugins', requireAuth, async (req, res) => {
 });
 
 // Update a plugin
-app.put('/api/plugins/:id', requireAuth, async (req, res) => {
+app.put('/api/plugins/:id', requireAuth, requirePermission('plugins:write'), async (req, res) => {
   try {
+    const before = await Plugin.findById(req.params.id).lean();
+    if (!before) return res.status(404).json({ error: 'Plugin not found.' });
     const plugin = await Plugin.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!plugin) return res.status(404).json({ error: 'Plugin not found.' });
+    await recordAudit(req, pluginEvent('plugin.update', before, plugin, { via: 'api' }));
     res.json(plugin);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -120,98 +461,673 @@ app.put('/api/plugins/:id', requireAuth, async (req, res) => {
 });
 
 // Delete a plugin
-app.delete('/api/plugins/:id', requireAuth, async (req, res) => {
+app.delete('/api/plugins/:id', requireAuth, requirePermission('plugins:delete'), async (req, res) => {
   try {
-    await Plugin.findByIdAndDelete(req.params.id);
+    const plugin = await Plugin.findByIdAndDelete(req.params.id);
+    if (plugin) await recordAudit(req, pluginEvent('plugin.delete', plugin, null, { via: 'api' }));
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Bulk import plugins
-app.post('/api/plugins/bulk', requireAuth, async (req, res) => {
+// Validate rows, then write them all or nothing. Shared by the bulk and file imports.
+async function importInventoryRows(req, res, rows, { type, dryRun, skipInvalid, via }) {
+  const existing = await Plugin.find(type ? { type } : {}).select('type marketplaceUrl');
+  const report = validateInventoryRows(rows, type, existing);
+
+  if (dryRun) {
+    return res.json({ success: report.summary.invalid === 0, dryRun: true, ...report.summary, rows: report.rows });
+  }
+  if (report.summary.invalid > 0 && !skipInvalid) {
+    return res.status(422).json({
+      error: `${report.summary.invalid} row(s) failed validation. Nothing was imported.`,
+      ...report.summary,
+      rows: report.rows
+    });
+  }
+
+  const saved = report.valid.length ? await Plugin.insertMany(report.valid) : [];
+  await recordAudit(req, saved.map(p => pluginEvent('plugin.create', null, p, { via })));
+  res.status(201).json({ success: true, count: saved.length, ...report.summary, rows: report.rows });
+}
+
+// Bulk import plugins (?dryRun=true validates only; ?skipInvalid=true imports the valid rows)
+app.post('/api/plugins/bulk', requireAuth, requirePermission('plugins:import'), async (req, res) => {
   try {
     const { plugins } = req.body;
     if (!Array.isArray(plugins) || plugins.length === 0) {
       return res.status(400).json({ error: 'plugins array is required.' });
     }
-    const saved = await Plugin.insertMany(plugins);
-    res.status(201).json({ success: true, count: saved.length });
+    await importInventoryRows(req, res, plugins, {
+      type: req.body.type,
+      via: 'bulk',
+      dryRun: req.query.dryRun === 'true' || req.body.dryRun === true,
+      skipInvalid: req.query.skipInvalid === 'true' || req.body.skipInvalid === true
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ─── Compatibility Check Route (SSE for progress) ─────────────────────────────
-app.get('/api/check-compatibility', requireAuth, async (req, res) => {
-  const { type, targetDCVersion, pluginIds } = req.query;
+// Import an .xlsx or .csv inventory sent as the raw request body.
+// ?type=jira&dryRun=true&mapping[name]=App&mapping[marketplaceUrl]=Link&filename=inventory.xlsx
+app.post('/api/plugins/import/file', requireAuth, requirePermission('plugins:import'),
+  async (req, res) => {
+    try {
+      const { type, dryRun, skipInvalid, mapping, filename } = req.query;
+      if (!isValidProductType(type)) {
+        return res.status(400).json({ error: invalidProductTypeMessage() });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Upload the file as the request body.' });
+      }
+
+      const format = detectFormat(req.body, req.query.format || filename || req.headers['content-type']);
+      let parsed;
+      try {
+        parsed = await parseInventoryFile(req.body, format, typeof mapping === 'object' ? mapping : {});
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      await importInventoryRows(req, res, parsed.rows, {
+        type,
+        via: 'file',
+        dryRun: dryRun === 'true',
+        skipInvalid: skipInvalid === 'true'
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+// Import installed apps from a UPM export (GET /rest/plugins/1.0/ on the instance)
+app.post('/api/plugins/import/upm', requireAuth, requirePermission('plugins:import'), async (req, res) => {
+  try {
+    const { type, upm, dryRun } = req.body;
+    if (!isValidProductType(type)) {
+      return res.status(400).json({ error: invalidProductTypeMessage() });
+    }
+    if (!upm) return res.status(400).json({ error: 'upm export is required.' });
+
+    const existing = await Plugin.find({ type }).select('appKey marketplaceUrl');
+    const existingKeys = new Set();
+    existing.forEach(p => {
+      if (p.appKey) existingKeys.add(p.appKey);
+      const { id } = extractAddonIdentifiers(p.marketplaceUrl);
+      if (id) existingKeys.add(id);
+    });
 
-  if (!type || !targetDCVersion) {
-    return res.status(400).json({ error: 'type and targetDCVersion are required.' });
+    let report;
+    try {
+      report = await importFromUpm(upm, type, { existingKeys });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    let saved = [];
+    if (!dryRun && report.plugins.length) saved = await Plugin.insertMany(report.plugins);
+    await recordAudit(req, saved.map(p => pluginEvent('plugin.create', null, p, { via: 'upm' })));
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun: !!dryRun,
+      count: dryRun ? report.plugins.length : saved.length,
+      plugins: dryRun ? report.plugins : saved,
+      unmatched: report.unmatched,
+      skipped: report.skipped
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  // Set up Server-Sent Events for real-time progress
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.flushHeaders();
+// ─── Compatibility Check Jobs ─────────────────────────────────────────────────
+// Checks run as resumable jobs (utils/checkJobs.js) so large inventories survive
+// the serverless time limit; GET /api/check-compatibility keeps the original SSE API,
+// including the full results on its 'complete' event.
 
-  const sendEvent = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+/** Validate check parameters and queue a job; sends the error response itself when invalid */
+async function submitCheckJob(req, res, params) {
+  const { type, targetDCVersion, currentDCVersion, pluginIds, refresh } = params;
+
+  // targetDCVersion may list several versions: "9.4,9.12,10.3"
+  const targets = parseTargetVersions(targetDCVersion);
+  if (!type || !targets.length) {
+    res.status(400).json({ error: 'type and targetDCVersion are required.' });
+    return null;
+  }
+  if (!isValidProductType(type)) {
+    res.status(400).json({ error: invalidProductTypeMessage() });
+    return null;
+  }
+
+  const run = await createCheckJob({
+    type,
+    targets,
+    currentDCVersion: currentDCVersion ? String(currentDCVersion).trim() : null,
+    pluginIds: Array.isArray(pluginIds) ? pluginIds : String(pluginIds || '').split(',').filter(Boolean),
+    refresh: refresh === true || refresh === 'true',
+    runBy: req.user.username
+  });
+  if (run) driveInBackground(run._id);
+  return run || false;
+}
+
+// Submit a check; returns 202 with the job ID to poll or stream
+app.post('/api/jobs', requireAuth, requirePermission('checks:run'), async (req, res) => {
+  try {
+    const run = await submitCheckJob(req, res, req.body);
+    if (run === null) return;
+    if (!run) return res.status(404).json({ error: 'No plugins found for this product type.' });
+    res.status(202).json(jobView(run));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Job status and per-plugin progress (?includeResults=true adds the results so far)
+app.get('/api/jobs/:id', requireAuth, requirePermission('runs:read'), async (req, res) => {
+  try {
+    const run = await CheckRun.findById(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Job not found.' });
+    res.json(jobView(run, { includeResults: req.query.includeResults === 'true' }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// SSE progress; resumes after Last-Event-ID (or ?after=<seq>). Callers allowed to run checks also
+// advance the job while connected; others only see the events other workers store.
+// ?cancelOnDisconnect=true cancels the job when the client goes away.
+app.get('/api/jobs/:id/events', requireAuth, requirePermission('runs:read'), async (req, res) => {
+  try {
+    const lastEvent = parseEventId(req.headers['last-event-id']);
+    const afterSeq = lastEvent.jobId === req.params.id ? lastEvent.seq : (parseInt(req.query.after, 10) || 0);
+    const canRun = can(req.user.role, 'checks:run', req.user.scopes);
+    const cancelOnDisconnect = req.query.cancelOnDisconnect === 'true' && canRun;
+    await streamJob(req, res, req.params.id, afterSeq, { advance: canRun, cancelOnDisconnect });
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.end();
+  }
+});
+
+// Process one chunk without streaming (cron / CI polling); returns the job status afterwards
+app.post('/api/jobs/:id/resume', requireAuth, requirePermission('checks:run'), async (req, res) => {
+  try {
+    const outcome = await processJobChunk(req.params.id);
+    const run = await CheckRun.findById(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Job not found.' });
+    res.json({ ...jobView(run), processed: outcome.claimed });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stop a queued or running job; results stored so far are kept
+app.post('/api/jobs/:id/cancel', requireAuth, requirePermission('checks:run'), async (req, res) => {
+  try {
+    const run = await cancelCheckJob(req.params.id, req.user.username);
+    if (!run) {
+      const existing = await CheckRun.findById(req.params.id).select('status').lean();
+      if (!existing) return res.status(404).json({ error: 'Job not found.' });
+      return res.status(409).json({ error: `Job is already ${existing.status}.` });
+    }
+    await recordAudit(req, {
+      action: 'check.cancel', targetType: 'run', targetId: String(run._id), productType: run.type,
+      meta: { done: run.progress.done, total: run.plugins.length }
+    });
+    res.json(jobView(run));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Original SSE endpoint: submits a job and streams it. An EventSource reconnect
+// carries Last-Event-ID ("<jobId>:<seq>") and resumes that job instead of starting a new one.
+// Closing the EventSource cancels the check.
+app.get('/api/check-compatibility', requireAuth, requirePermission('checks:run'), async (req, res) => {
+  try {
+    const resume = parseEventId(req.headers['last-event-id']);
+    const streamOptions = { cancelOnDisconnect: true, completeWithResults: true };
+    if (resume.jobId) return await streamJob(req, res, resume.jobId, resume.seq, streamOptions);
+
+    const run = await submitCheckJob(req, res, req.query);
+    if (run === null) return;
+    if (!run) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.write(`data: ${JSON.stringify({ type: 'error', message: 'No plugins found for this product type.' })}\n\n`);
+      return res.end();
+    }
+    await streamJob(req, res, String(run._id), 0, streamOptions);
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.end();
+  }
+});
+
+// ─── Check Run History Routes ────────────────────────────────────────────────
+// List past runs (without the heavy per-plugin results)
+app.get('/api/runs', requireAuth, requirePermission('runs:read'), async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const filter = {};
+    if (type) filter.type = type;
+    const runs = await CheckRun.find(filter)
+      .select('-results')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Compare two runs plugin by plugin (?base=<older id>&head=<newer id>&format=json|xlsx)
+app.get('/api/runs/compare', requireAuth, requirePermission('runs:read'), async (req, res) => {
   try {
-    let plugins;
-    if (pluginIds) {
-      const ids = pluginIds.split(',').filter(Boolean);
-      plugins = await Plugin.find({ _id: { $in: ids }, type });
-    } else {
-      plugins = await Plugin.find({ type });
+    const { base, head, format = 'json' } = req.query;
+    if (!base || !head) {
+      return res.status(400).json({ error: 'base and head run IDs are required.' });
+    }
+    const [baseRun, headRun] = await Promise.all([CheckRun.findById(base), CheckRun.findById(head)]);
+    if (!baseRun || !headRun) return res.status(404).json({ error: 'Run not found.' });
+    if (baseRun.type !== headRun.type) {
+      return res.status(400).json({ error: 'Both runs must be for the same product type.' });
+    }
+    if (baseRun.status !== 'completed' || headRun.status !== 'completed') {
+      return res.status(400).json({ error: 'Both runs must be completed.' });
     }
 
-    if (plugins.length === 0) {
-      sendEvent({ type: 'error', message: 'No plugins found for this product type.' });
-      res.end();
-      return;
+    const diff = diffRuns(baseRun, headRun);
+    if (format !== 'xlsx') return res.json(diff);
+
+    const buffer = await generateDiffExcel(diff, baseRun.type);
+    const filename = `${baseRun.type}-compat-diff-${Date.now()}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a single run including its full results
+app.get('/api/runs/:id', requireAuth, requirePermission('runs:read'), async (req, res) => {
+  try {
+    const run = await CheckRun.findById(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found.' });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a run
+app.delete('/api/runs/:id', requireAuth, requirePermission('runs:delete'), async (req, res) => {
+  try {
+    const run = await CheckRun.findByIdAndDelete(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Run not found.' });
+    await recordAudit(req, {
+      action: 'run.delete', targetType: 'run', targetId: String(run._id), productType: run.type,
+      before: { targetDCVersion: run.targetDCVersion, runBy: run.runBy, status: run.status, startedAt: run.startedAt }
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Scheduled Watch Routes ──────────────────────────────────────────────────
+// A watch re-runs a check on a schedule and notifies its recipients when a plugin
+// gains a compatible version or its recommended version changes (utils/watches.js)
+
+// Recipients must be existing accounts
+async function unknownRecipients(usernames) {
+  if (!usernames || !usernames.length) return [];
+  const found = await User.find({ username: { $in: usernames } }).select('username').lean();
+  const known = new Set(found.map(u => u.username));
+  return usernames.filter(u => !known.has(u));
+}
+
+app.get('/api/watches', requireAuth, requirePermission('watches:read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    const watches = await Watch.find(filter).select('-state').sort({ name: 1 });
+    res.json(watches);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Includes the per-plugin state from the last completed run
+app.get('/api/watches/:id', requireAuth, requirePermission('watches:read'), async (req, res) => {
+  try {
+    const watch = await Watch.findById(req.params.id);
+    if (!watch) return res.status(404).json({ error: 'Watch not found.' });
+    res.json(watch);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/watches', requireAuth, requirePermission('watches:manage'), async (req, res) => {
+  let fields;
+  try {
+    fields = parseWatchInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const unknown = await unknownRecipients(fields.recipients);
+    if (unknown.length) return res.status(400).json({ error: `Unknown recipients: ${unknown.join(', ')}` });
+    // The first run is due on the next scheduler tick
+    const watch = await Watch.create({ ...fields, createdBy: req.user.username, nextRunAt: new Date() });
+    await recordAudit(req, watchEvent('watch.create', null, watch));
+    res.status(201).json(watch);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.put('/api/watches/:id', requireAuth, requirePermission('watches:manage'), async (req, res) => {
+  let fields;
+  try {
+    fields = parseWatchInput(req.body, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const watch = await Watch.findById(req.params.id);
+    if (!watch) return res.status(404).json({ error: 'Watch not found.' });
+    const unknown = await unknownRecipients(fields.recipients);
+    if (unknown.length) return res.status(400).json({ error: `Unknown recipients: ${unknown.join(', ')}` });
+
+    const before = watch.toObject();
+    // A different plugin set, product or target makes the stored state meaningless
+    const rebaseline = ['type', 'targetDCVersion', 'pluginIds'].some(key =>
+      fields[key] !== undefined && String(fields[key]) !== String(before[key]));
+    watch.set(fields);
+    if (rebaseline) watch.state = [];
+    if (fields.intervalMinutes !== undefined && watch.lastRunAt) {
+      watch.nextRunAt = new Date(watch.lastRunAt.getTime() + watch.intervalMinutes * 60 * 1000);
     }
+    await watch.save();
+    await recordAudit(req, watchEvent('watch.update', before, watch));
+    res.json(watch);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/watches/:id', requireAuth, requirePermission('watches:manage'), async (req, res) => {
+  try {
+    const watch = await Watch.findByIdAndDelete(req.params.id);
+    if (!watch) return res.status(404).json({ error: 'Watch not found.' });
+    await recordAudit(req, watchEvent('watch.delete', watch, null));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    sendEvent({ type: 'start', total: plugins.length, message: `Starting compatibility check for ${plugins.length} plugins...` });
+// Run a watch now; returns 202 with the job to poll or stream (/api/jobs/:id)
+app.post('/api/watches/:id/run', requireAuth, requirePermission('watches:manage'), async (req, res) => {
+  try {
+    const watch = await Watch.findById(req.params.id);
+    if (!watch) return res.status(404).json({ error: 'Watch not found.' });
+    const { run, skipped } = await startWatchRun(watch);
+    if (!run) return res.status(409).json({ error: skipped });
+    res.status(202).json(jobView(run));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const progressCallback = (message) => {
-      sendEvent({ type: 'progress', message });
-    };
+// Scheduler entry point for platforms without a long-lived process (e.g. a Vercel cron
+// job); authenticated with "Authorization: Bearer $CRON_SECRET" instead of a login
+app.get('/api/cron/watches', async (req, res) => {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorized.' });
+  try {
+    res.json(await tickWatches({ advance: true }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Notification Routes ─────────────────────────────────────────────────────
+// The signed-in user's notifications, newest first (?unread=true, ?limit=)
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  try {
+    const filter = { username: req.user.username };
+    if (req.query.unread === 'true') filter.readAt = null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const [unread, notifications] = await Promise.all([
+      Notification.countDocuments({ username: req.user.username, readAt: null }),
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit).lean()
+    ]);
+    res.json({ unread, notifications });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const results = await checkCompatibility(
-      plugins.map(p => ({
-        name: p.name,
-        marketplaceUrl: p.marketplaceUrl,
-        currentVersion: p.currentVersion
-      })),
-      targetDCVersion,
-      progressCallback
+app.post('/api/notifications/read-all', requireAuth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { username: req.user.username, readAt: null },
+      { $set: { readAt: new Date() } }
     );
+    res.json({ success: true, count: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, username: req.user.username },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) return res.status(404).json({ error: 'Notification not found.' });
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Webhook Routes ──────────────────────────────────────────────────────────
+// Admin-managed outbound webhooks for finished checks (utils/webhooks.js)
+
+// Available events and formats, for the settings form
+app.get('/api/webhooks/options', requireAuth, requirePermission('webhooks:manage'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+});
+
+app.get('/api/webhooks', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ name: 1 });
+    res.json(webhooks.map(w => w.toPublic()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The signing secret is generated unless given, and returned only in this response
+app.post('/api/webhooks', requireAuth, requireSession, requirePermission('webhooks:manage'), async (req, res) => {
+  let fields;
+  try {
+    fields = parseWebhookInput(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const webhook = await Webhook.create({
+      ...fields,
+      secret: fields.secret || generateWebhookSecret(),
+      createdBy: req.user.username
+    });
+    await recordAudit(req, webhookEvent('webhook.create', null, webhook));
+    res.status(201).json({ ...webhook.toPublic(), secret: webhook.secret });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { rotateSecret: true } replaces the secret and returns the new one
+app.put('/api/webhooks/:id', requireAuth, requireSession, requirePermission('webhooks:manage'), async (req, res) => {
+  let fields;
+  try {
+    fields = parseWebhookInput(req.body, { partial: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found.' });
+    const before = webhook.toObject();
+    const rotate = req.body.rotateSecret === true || req.body.rotateSecret === 'true';
+    if (rotate && !fields.secret) fields.secret = generateWebhookSecret();
+    webhook.set(fields);
+    await webhook.save();
+    await recordAudit(req, webhookEvent('webhook.update', before, webhook, fields.secret ? { secretRotated: true } : null));
+    res.json({ ...webhook.toPublic(), ...(fields.secret ? { secret: webhook.secret } : {}) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAuth, requireSession, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found.' });
+    await WebhookDelivery.updateMany(
+      { webhookId: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', error: 'Webhook was deleted or disabled' } }
+    );
+    await recordAudit(req, webhookEvent('webhook.delete', webhook, null));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a "ping" event now and return the recorded delivery
+app.post('/api/webhooks/:id/test', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found.' });
+    res.json(await sendTestDelivery(webhook));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delivery log, newest first (?status=pending|success|failed, ?limit=)
+app.get('/api/webhooks/:id/deliveries', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const filter = { webhookId: req.params.id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json(deliveries);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a logged delivery's body again (as a new delivery)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const [webhook, delivery] = await Promise.all([
+      Webhook.findById(req.params.id),
+      WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: req.params.id })
+    ]);
+    if (!webhook || !delivery) return res.status(404).json({ error: 'Delivery not found.' });
+    res.json(await redeliver(delivery, webhook));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    sendEvent({ type: 'complete', results });
+// Retry due deliveries where no long-lived process runs the retry timer;
+// authenticated like /api/cron/watches
+app.get('/api/cron/webhooks', async (req, res) => {
+  if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorized.' });
+  try {
+    res.json({ attempted: await retryDueDeliveries() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// ─── Audit Log Routes ────────────────────────────────────────────────────────
+// Filter with actor, action ("plugin." for a prefix), targetType, targetId, productType,
+// outcome, q, from, to; page with limit / skip
+app.get('/api/audit', requireAuth, requirePermission('audit:read'), async (req, res) => {
+  let filter;
+  try {
+    filter = buildAuditFilter(req.query);
   } catch (err) {
-    sendEvent({ type: 'error', message: err.message });
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const [total, events] = await Promise.all([
+      AuditEvent.countDocuments(filter),
+      AuditEvent.find(filter).sort({ at: -1 }).skip(skip).limit(limit).lean()
+    ]);
+    res.json({ total, skip, limit, events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  res.end();
+// Same filters as /api/audit, without paging (?format=csv|json)
+app.get('/api/audit/export', requireAuth, requirePermission('audit:read'), async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format. Use "csv" or "json".' });
+  }
+  let filter;
+  try {
+    filter = buildAuditFilter(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const events = await AuditEvent.find(filter).sort({ at: -1 }).limit(AUDIT_EXPORT_LIMIT).lean();
+    const basename = `audit-log-${Date.now()}`;
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.json"`);
+      return res.json({ exportedAt: new Date().toISOString(), count: events.length, events });
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.csv"`);
+    res.send(toCsv(buildAuditRows(events), AUDIT_EXPORT_COLUMNS));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ─── Excel Download Route ────────────────────────────────────────────────────
-app.post('/api/download-excel', requireAuth, async (req, res) => {
+app.post('/api/download-excel', requireAuth, requirePermission('reports:download'), async (req, res) => {
   try {
     const { results, type, targetDCVersion } = req.body;
     if (!results || !type || !targetDCVersion) {
       return res.status(400).json({ error: 'results, type, and targetDCVersion are required.' });
     }
 
-    const buffer = await generateExcel(results, type, targetDCVersion);
-    const filename = `${type}-compat-dc${targetDCVersion}-${Date.now()}.xlsx`;
+    const targets = parseTargetVersions(targetDCVersion);
+    const buffer = await generateExcel(results, type, targets);
+    const filename = `${type}-compat-dc${targets.join('_')}-${Date.now()}.xlsx`;
 
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -240,8 +1156,6 @@ if (require.main === module) {
     console.log(`\n🚀 Atlassian Compatibility Checker`);
     console.log(`   Server running at: http://localhost:${PORT}`);
     console.log(`   MongoDB: ${MONGO_URI}`);
-    console.log(`\n   Credentials:`);
-    USERS.forEach(u => console.log(`   - ${u.username} / ${u.password} (${u.role})`));
     console.log('');
   });
 }
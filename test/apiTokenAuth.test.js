@@ -0,0 +1,86 @@
+'use strict';
+
+// API-token authentication through requireAuth, against an in-memory stand-in for MongoDB
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const Plugin = require('../models/Plugin');
+const { hashToken } = require('../utils/apiTokens');
+const { startApp } = require('./helpers/app');
+
+const SECRET = 'acc_test-secret-for-requireAuth';
+const owner = { _id: new mongoose.Types.ObjectId(), username: 'alice', role: 'editor', disabled: false };
+let tokens;
+let app;
+let baseUrl;
+
+const lean = value => ({ lean: async () => value });
+
+before(async () => {
+  mock.method(ApiToken, 'findOne', filter => lean(tokens.find(t => t.tokenHash === filter.tokenHash) || null));
+  mock.method(ApiToken, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(User, 'findById', id => lean(String(id) === String(owner._id) ? owner : null));
+  mock.method(Plugin, 'find', () => ({ sort: async () => [{ name: 'ScriptRunner' }] }));
+
+  app = await startApp();
+  baseUrl = app.baseUrl;
+});
+
+after(() => {
+  app.close();
+  mock.restoreAll();
+});
+
+beforeEach(() => {
+  tokens = [{
+    _id: new mongoose.Types.ObjectId(),
+    userId: owner._id,
+    tokenHash: hashToken(SECRET),
+    scopes: ['read'],
+    expiresAt: null,
+    revokedAt: null,
+    lastUsedAt: null
+  }];
+});
+
+function getPlugins(secret) {
+  return fetch(`${baseUrl}/api/plugins/jira`, { headers: { Authorization: `Bearer ${secret}` } });
+}
+
+test('a valid token reaches the protected route', async () => {
+  const res = await getPlugins(SECRET);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), [{ name: 'ScriptRunner' }]);
+});
+
+test('an expired token is refused', async () => {
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+  const res = await getPlugins(SECRET);
+  assert.strictEqual(res.status, 401);
+  assert.match((await res.json()).error, /expired/);
+});
+
+test('a revoked token is refused', async () => {
+  tokens[0].revokedAt = new Date();
+  const res = await getPlugins(SECRET);
+  assert.strictEqual(res.status, 401);
+  assert.match((await res.json()).error, /revoked/);
+});
+
+test('an unknown token is refused', async () => {
+  const res = await getPlugins('acc_not-a-real-token');
+  assert.strictEqual(res.status, 401);
+});
+
+test('a token without the needed scope is forbidden', async () => {
+  tokens[0].scopes = ['read'];
+  const res = await fetch(`${baseUrl}/api/plugins`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${SECRET}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type: 'jira', name: 'x', marketplaceUrl: 'https://example.com', currentVersion: '1.0' })
+  });
+  assert.strictEqual(res.status, 403);
+});
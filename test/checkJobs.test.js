@@ -0,0 +1,84 @@
+'use strict';
+
+// Streaming check jobs from their stored events, with MongoDB stood in for
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const CheckRun = require('../models/CheckRun');
+const CheckEvent = require('../models/CheckEvent');
+const { streamJob } = require('../utils/checkJobs');
+
+const runId = String(new mongoose.Types.ObjectId());
+const results = [{ pluginName: 'ScriptRunner', compatible: true }, { pluginName: 'Tempo', compatible: false }];
+const summary = { total: 2, compatible: 1 };
+const EVENTS = [
+  { seq: 1, data: { type: 'start', runId } },
+  { seq: 2, data: { type: 'pluginResult', index: 0, result: results[0] } },
+  { seq: 3, data: { type: 'pluginResult', index: 1, result: results[1] } },
+  { seq: 4, data: { type: 'complete', runId, jobId: runId, summary } }
+];
+
+let status = 'completed';
+let claims = 0;
+
+const chain = value => ({ select: () => ({ lean: async () => value }), sort: () => ({ lean: async () => value }) });
+
+before(() => {
+  mock.method(CheckRun, 'findById', () => chain({ status, results }));
+  mock.method(CheckRun, 'findOneAndUpdate', async () => { claims++; return null; });
+  mock.method(CheckEvent, 'countDocuments', async filter => EVENTS.filter(e => e.seq > filter.seq.$gt).length);
+  mock.method(CheckEvent, 'find', filter => chain(EVENTS.filter(e => e.seq > filter.seq.$gt)));
+});
+
+after(() => mock.restoreAll());
+
+/** Minimal SSE response that records the data lines it was sent */
+function fakeResponse() {
+  const sent = [];
+  return {
+    sent,
+    writableEnded: false,
+    setHeader() {},
+    flushHeaders() {},
+    on() {},
+    write(chunk) {
+      const line = chunk.split('\n').find(l => l.startsWith('data: '));
+      if (line) sent.push(JSON.parse(line.slice(6)));
+    },
+    end() { this.writableEnded = true; }
+  };
+}
+
+test('the complete event carries the run ID and summary only', async () => {
+  const res = fakeResponse();
+  await streamJob({}, res, runId, 0);
+  const complete = res.sent.find(e => e.type === 'complete');
+  assert.deepStrictEqual(complete, { type: 'complete', runId, jobId: runId, summary });
+});
+
+test('completeWithResults adds the results to the complete event for the original SSE route', async () => {
+  const res = fakeResponse();
+  await streamJob({}, res, runId, 0, { completeWithResults: true });
+  assert.deepStrictEqual(res.sent.map(e => e.type), ['start', 'pluginResult', 'pluginResult', 'complete']);
+  assert.deepStrictEqual(res.sent[3].results, results);
+  assert.deepStrictEqual(res.sent[3].summary, summary);
+});
+
+test('a stream that may not advance the job only tails its events', async () => {
+  const previous = process.env.JOB_CHUNK_SECONDS;
+  process.env.JOB_CHUNK_SECONDS = '0.2';
+  status = 'running';
+  try {
+    claims = 0;
+    await streamJob({}, fakeResponse(), runId, 4, { advance: false });
+    assert.strictEqual(claims, 0, 'no chunk was started');
+
+    await streamJob({}, fakeResponse(), runId, 4);
+    assert.ok(claims > 0, 'the default stream tries to take the lease');
+  } finally {
+    status = 'completed';
+    if (previous === undefined) delete process.env.JOB_CHUNK_SECONDS;
+    else process.env.JOB_CHUNK_SECONDS = previous;
+  }
+});
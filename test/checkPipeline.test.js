@@ -0,0 +1,103 @@
+'use strict';
+
+// The whole check pipeline against the recorded payloads in test/fixtures/marketplace, with no network
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const ExcelJS = require('exceljs');
+const { checkCompatibility } = require('../utils/scraper');
+const { generateExcel } = require('../utils/excelGenerator');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'marketplace');
+const OPTIONS = { providers: ['fixture'], fixtureDir: FIXTURE_DIR, browserFallback: false, concurrency: 1 };
+
+const timesheets = {
+  type: 'jira',
+  name: 'Example Timesheets',
+  marketplaceUrl: 'https://marketplace.atlassian.com/apps/1211542/example-timesheets/version-history',
+  currentVersion: '7.30.0'
+};
+const approvals = {
+  type: 'jira',
+  name: 'Example Approvals',
+  marketplaceUrl: 'https://marketplace.atlassian.com/apps/6820/example-approvals',
+  currentVersion: '3.1.0'
+};
+const unrecorded = {
+  type: 'jira',
+  name: 'Not Recorded',
+  marketplaceUrl: 'https://marketplace.atlassian.com/apps/999999/not-recorded',
+  currentVersion: '1.0.0'
+};
+
+before(() => {
+  const offline = () => { throw new Error('network access during an offline test'); };
+  mock.method(http, 'request', offline);
+  mock.method(https, 'request', offline);
+});
+
+after(() => mock.restoreAll());
+
+test('REST pages are read across pagination and evaluated against the target', async () => {
+  const [result] = await checkCompatibility([timesheets], '10.3.0', () => {}, OPTIONS);
+
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.fetchMethod, 'fixture');
+  assert.strictEqual(result.compatible, false);
+  assert.strictEqual(result.recommendedVersion, '7.52.0');
+  assert.strictEqual(result.compatibleVersionRange, '7.40.0 - 7.52.0');
+  assert.strictEqual(result.compatibleVersions.length, 13);
+  assert.strictEqual(result.totalVersionsChecked, 53);
+  assert.strictEqual(result.allVersions, undefined, 'the version history is not copied into the result');
+  assert.strictEqual(result.cloud.category, 'migration-tooling');
+  assert.strictEqual(result.marketplaceInfo.vendorName, 'Example Software GmbH');
+  assert.strictEqual(result.marketplaceInfo.dcApproved, true);
+  assert.strictEqual(result.marketplaceInfo.dcEndOfSupportDate, '2028-03-28');
+  assert.strictEqual(result.marketplaceInfo.lastReleaseDate, '2025-06-02');
+  assert.ok(result.releaseNotesAnalysis.counts.security >= 1);
+});
+
+test('versions on the second REST page are found', async () => {
+  const [result] = await checkCompatibility([{ ...timesheets, currentVersion: '7.0.0' }], '8.20.0', () => {}, OPTIONS);
+  assert.strictEqual(result.compatible, true);
+  assert.strictEqual(result.recommendedVersion, '7.19.0');
+  assert.strictEqual(result.compatibleVersionRange, '7.0.0 - 7.19.0');
+});
+
+test('initial-state HTML is read with the product-specific compatibility entry', async () => {
+  const [jira] = await checkCompatibility([approvals], '9.12.0', () => {}, OPTIONS);
+  assert.strictEqual(jira.recommendedVersion, '3.2.1');
+  assert.strictEqual(jira.marketplaceInfo.supportedBy, 'atlassian');
+  // No addon.json was recorded for this app
+  assert.strictEqual(jira.cloud.category, 'unknown');
+
+  const [jsm] = await checkCompatibility([{ ...approvals, type: 'jsm' }], '5.12.0', () => {}, OPTIONS);
+  assert.strictEqual(jsm.recommendedVersion, '3.2.1');
+  assert.deepStrictEqual(jsm.compatibleVersions.map(v => v.pluginVersion), ['3.2.1', '3.1.0']);
+});
+
+test('several targets are evaluated from one fetch', async () => {
+  const [result] = await checkCompatibility([timesheets], '9.4.0, 10.3.0', () => {}, OPTIONS);
+  assert.deepStrictEqual(result.targetResults.map(t => t.recommendedVersion), ['7.39.0', '7.52.0']);
+});
+
+test('a plugin without fixtures becomes an error result without stopping the others', async () => {
+  const results = await checkCompatibility([unrecorded, approvals], '9.12.0', () => {}, OPTIONS);
+  assert.strictEqual(results[0].fetchMethod, 'failed');
+  assert.match(results[0].error, /no fixture for addon 999999/);
+  assert.strictEqual(results[1].recommendedVersion, '3.2.1');
+});
+
+test('the Excel report is built from fixture results', async () => {
+  const results = await checkCompatibility([timesheets, approvals], '10.3.0', () => {}, OPTIONS);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await generateExcel(results, 'jira', '10.3.0'));
+
+  const main = workbook.worksheets[0];
+  assert.strictEqual(main.getRow(6).getCell(2).value, 'Example Timesheets');
+  assert.strictEqual(main.getRow(7).getCell(2).value, 'Example Approvals');
+  assert.ok(workbook.worksheets.length >= 2);
+});
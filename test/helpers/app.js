@@ -0,0 +1,24 @@
+'use strict';
+
+// Starts server.js on a random port with MongoDB and the session store stood in for
+
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
+
+/** @returns {Promise<{ baseUrl: string, close: Function }>} */
+async function startApp() {
+  mock.method(mongoose, 'connect', () => new Promise(() => {}));
+  mock.method(MongoStore, 'create', () => new session.MemoryStore());
+
+  const app = require('../../server');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => server.close()
+  };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,60 @@
+'use strict';
+
+// POST /api/plugins/import/file with the body types plain HTTP clients send
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const Plugin = require('../models/Plugin');
+const { hashToken } = require('../utils/apiTokens');
+const { startApp } = require('./helpers/app');
+
+const SECRET = 'acc_test-secret-for-file-import';
+const owner = { _id: new mongoose.Types.ObjectId(), username: 'bob', role: 'editor', disabled: false };
+const token = { _id: new mongoose.Types.ObjectId(), userId: owner._id, tokenHash: hashToken(SECRET), scopes: ['inventory'], lastUsedAt: new Date() };
+const CSV = 'Name,Marketplace URL,Current Version\n' +
+  'ScriptRunner for Jira,https://marketplace.atlassian.com/apps/6820/scriptrunner-for-jira,8.30.0\n';
+let app;
+
+const lean = value => ({ lean: async () => value });
+
+before(async () => {
+  mock.method(ApiToken, 'findOne', filter => lean(filter.tokenHash === token.tokenHash ? token : null));
+  mock.method(User, 'findById', () => lean(owner));
+  mock.method(Plugin, 'find', () => ({ select: async () => [] }));
+  app = await startApp();
+});
+
+after(() => {
+  app.close();
+  mock.restoreAll();
+});
+
+function upload(contentType) {
+  return fetch(`${app.baseUrl}/api/plugins/import/file?type=jira&dryRun=true&filename=inventory.csv`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${SECRET}`, 'Content-Type': contentType },
+    body: CSV
+  });
+}
+
+for (const contentType of ['application/x-www-form-urlencoded', 'application/json', 'text/csv', 'application/octet-stream']) {
+  test(`a CSV sent as ${contentType} is read as the file`, async () => {
+    const res = await upload(contentType);
+    const body = await res.json();
+    assert.strictEqual(res.status, 200, body.error);
+    assert.strictEqual(body.dryRun, true);
+    assert.strictEqual(body.rows.length, 1);
+  });
+}
+
+test('an empty upload is refused', async () => {
+  const res = await fetch(`${app.baseUrl}/api/plugins/import/file?type=jira`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${SECRET}` }
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).error, /Upload the file/);
+});
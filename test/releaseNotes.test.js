@@ -0,0 +1,64 @@
+'use strict';
+
+// Release-note flags over real-world note phrasing
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeReleaseNotes, readReleaseNoteRules, loadReleaseNoteRules } = require('../utils/releaseNotes');
+
+const rules = readReleaseNoteRules(null);
+
+/** Categories flagged for a single skipped release with these notes */
+function flagsFor(notes) {
+  const analysis = analyzeReleaseNotes([{ version: '2.0.0', releaseNotes: notes }], '1.0.0', '2.0.0', { rules });
+  return analysis.findings.map(f => f.category);
+}
+
+const NOTES = [
+  { notes: 'Removed noisy log message when the index is rebuilt.', flags: [] },
+  { notes: 'Dropped a stale cache entry that caused slow page loads.', flags: [] },
+  { notes: 'Removed unused dependencies.', flags: [] },
+  { notes: 'Removed support for Jira 8.x.', flags: ['removed'] },
+  { notes: 'We removed the ability to export boards as PDF.', flags: ['removed'] },
+  { notes: 'The legacy REST endpoint /rest/old was removed.', flags: ['removed'] },
+  { notes: 'Support for Internet Explorer 11 has been dropped.', flags: ['removed'] },
+  { notes: 'The Gadget macro is no longer supported.', flags: ['removed'] },
+  { notes: 'Fixes CVE-2024-12345 (stored XSS in the admin page).', flags: ['security'] },
+  { notes: 'Fixed a security issue in the REST API.', flags: ['security'] },
+  { notes: 'Security fix for the attachment servlet.', flags: ['security'] },
+  { notes: 'Improved security of the settings page layout.', flags: [] },
+  { notes: '<p>Breaking change: the REST API now requires a token.</p>', flags: ['breaking'] },
+  { notes: 'A full re-index is required after upgrading.', flags: ['migration'] },
+  { notes: 'Existing workflows must be migrated to the new format.', flags: ['migration'] },
+  { notes: 'A data migration runs on the first start after the upgrade.', flags: ['migration'] },
+  { notes: 'Added Cloud migration assistant support.', flags: [] },
+  { notes: 'Performance improvements and bug fixes.', flags: [] }
+];
+
+test('release notes are flagged by category', () => {
+  for (const { notes, flags } of NOTES) {
+    assert.deepStrictEqual(flagsFor(notes), flags, notes);
+  }
+});
+
+test('a broken RELEASE_NOTES_RULES file falls back to the default rules', () => {
+  const file = path.join(os.tmpdir(), `release-note-rules-${process.pid}.json`);
+  fs.writeFileSync(file, '{ "security": { "patterns": ["(unclosed"] } }');
+  const previous = process.env.RELEASE_NOTES_RULES;
+  process.env.RELEASE_NOTES_RULES = file;
+  const warn = mock.method(console, 'warn', () => {});
+  try {
+    assert.throws(() => readReleaseNoteRules(), /Invalid regular expression/);
+    const loaded = loadReleaseNoteRules();
+    assert.deepStrictEqual(loaded.map(r => r.category), Object.keys(require('../utils/releaseNotes').DEFAULT_RULES));
+    assert.strictEqual(warn.mock.callCount(), 1);
+  } finally {
+    warn.mock.restore();
+    fs.unlinkSync(file);
+    if (previous === undefined) delete process.env.RELEASE_NOTES_RULES;
+    else process.env.RELEASE_NOTES_RULES = previous;
+  }
+});
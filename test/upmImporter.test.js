@@ -0,0 +1,71 @@
+'use strict';
+
+// UPM export import against a local Marketplace stand-in (MARKETPLACE_BASE_URL)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { importFromUpm } = require('../utils/upmImporter');
+
+const LISTINGS = {
+  'com.onresolve.jira.groovy.groovyrunner': { _links: { alternate: { href: '/apps/6820/scriptrunner-for-jira' } } },
+  'com.onresolve.jira.groovy.groovyrunner.alias': { id: 6820, slug: 'scriptrunner-for-jira' },
+  'com.example.timesheets': { _links: { self: { href: '/rest/2/addons/com.example.timesheets' }, alternate: { href: '/apps/1211542/example-timesheets' } } }
+};
+const requested = [];
+let server;
+let previousBaseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const key = decodeURIComponent(req.url.replace('/rest/2/addons/', ''));
+    if (!LISTINGS[key]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(LISTINGS[key]));
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  previousBaseUrl = process.env.MARKETPLACE_BASE_URL;
+  process.env.MARKETPLACE_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  if (previousBaseUrl === undefined) delete process.env.MARKETPLACE_BASE_URL;
+  else process.env.MARKETPLACE_BASE_URL = previousBaseUrl;
+});
+
+test('lookups go to MARKETPLACE_BASE_URL and stored URLs name the real Marketplace', async () => {
+  const { plugins, unmatched } = await importFromUpm({
+    plugins: [
+      { key: 'com.example.timesheets', name: 'Example Timesheets', version: '7.30.0', userInstalled: true },
+      { key: 'com.example.unlisted', name: 'Unlisted', version: '1.0.0', userInstalled: true },
+      { key: 'com.atlassian.jira.core', name: 'Core', version: '10.3.0', userInstalled: false }
+    ]
+  }, 'jira');
+
+  assert.ok(requested.includes('/rest/2/addons/com.example.timesheets'));
+  assert.deepStrictEqual(plugins.map(p => p.marketplaceUrl), ['https://marketplace.atlassian.com/apps/1211542/example-timesheets']);
+  assert.deepStrictEqual(unmatched.map(u => u.key), ['com.example.unlisted']);
+});
+
+test('an app listed more than once is imported once', async () => {
+  const { plugins, skipped } = await importFromUpm({
+    plugins: [
+      { key: 'com.onresolve.jira.groovy.groovyrunner', name: 'ScriptRunner', version: '8.30.0', userInstalled: true },
+      { key: 'com.onresolve.jira.groovy.groovyrunner', name: 'ScriptRunner', version: '8.30.0', userInstalled: true },
+      { key: 'com.onresolve.jira.groovy.groovyrunner.alias', name: 'ScriptRunner (alias)', version: '8.30.0', userInstalled: true }
+    ]
+  }, 'jira');
+
+  assert.strictEqual(plugins.length, 1);
+  assert.strictEqual(plugins[0].marketplaceUrl, 'https://marketplace.atlassian.com/apps/6820/scriptrunner-for-jira');
+  assert.deepStrictEqual(skipped.map(s => s.reason), [
+    'Listed more than once in the export',
+    'Same Marketplace app (6820) as another entry in the export'
+  ]);
+});
@@ -0,0 +1,153 @@
+'use strict';
+
+// Table-driven checks of version ordering and Marketplace compatibility text
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  compareVersions, isVersionInRange, isVersionInAnyRange, parseCompatibilityString, formatRange
+} = require('../utils/versionEngine');
+
+// Each list is in ascending order
+const ORDERED = [
+  ['1.2', '1.10', '1.10.1', '2.0'],
+  ['9.4', '9.4.1', '9.12.0', '10.0.0'],
+  ['10.0.0-SNAPSHOT', '10.0.0-alpha1', '10.0.0-beta2', '10.0.0-m0003', '10.0.0-eap01', '10.0.0-rc1', '10.0.0-rc2', '10.0.0-rc10', '10.0.0'],
+  ['8.20.0-m0003', '8.20.0-m0010', '8.20.0-RC1', '8.20.0'],
+  ['10.0.0', '10.0.0-jira9', '10.0.1'],
+  ['8', '8a', '9'],
+  ['7.0.0-beta', '7.0.0']
+];
+
+test('compareVersions orders real version strings', () => {
+  for (const list of ORDERED) {
+    for (let i = 0; i < list.length - 1; i++) {
+      assert.strictEqual(compareVersions(list[i], list[i + 1]), -1, `${list[i]} < ${list[i + 1]}`);
+      assert.strictEqual(compareVersions(list[i + 1], list[i]), 1, `${list[i + 1]} > ${list[i]}`);
+    }
+  }
+});
+
+test('compareVersions treats equivalent spellings as equal', () => {
+  for (const [a, b] of [['9.4', '9.4.0'], ['10.0.0', '10.0.0-GA'], ['10.0.0-final', '10.0.0'], ['1.0', '1.0.0.0']]) {
+    assert.strictEqual(compareVersions(a, b), 0, `${a} == ${b}`);
+  }
+});
+
+// text → expected span, matching kind, and DC versions inside / outside the clauses
+const COMPATIBILITY_TEXT = [
+  { text: 'Jira Server 8.13.0 - 9.4.0', min: '8.13.0', max: '9.4.0', kind: 'range', in: ['8.13.0', '9.0.0', '9.4.0'], out: ['8.12.9', '9.4.1', '10.0.0'] },
+  { text: 'Jira Data Center 9.12.0 - 10.3.2', min: '9.12.0', max: '10.3.2', kind: 'range', in: ['9.12.0', '10.3.2'], out: ['9.11.0', '10.4.0'] },
+  { text: 'Confluence Server 7.19.0 to 8.9.0', min: '7.19.0', max: '8.9.0', kind: 'range', in: ['8.5.0'], out: ['8.9.1'] },
+  { text: 'Bitbucket Data Center 8.9 – 9.4', min: '8.9', max: '9.4', kind: 'range', in: ['9.4.7'], out: ['9.5.0'] },
+  { text: 'between 8.0 and 9.0', min: '8.0', max: '9.0', kind: 'range', in: ['8.20.3'], out: ['9.1'] },
+  { text: 'Jira 9.x', min: '9', max: '9', kind: 'wildcard', in: ['9.0.0', '9.12.4', '9.17.0'], out: ['8.20.0', '10.0.0'] },
+  { text: 'Confluence 8.5.*', min: '8.5', max: '8.5', kind: 'wildcard', in: ['8.5.0', '8.5.14'], out: ['8.6.0'] },
+  { text: 'Jira Data Center 10.0.0 and later', min: '10.0.0', max: null, kind: 'open-max', in: ['10.0.0', '11.2.0'], out: ['9.17.0'] },
+  { text: 'Jira Server 8.5+', min: '8.5', max: null, kind: 'open-max', in: ['8.5.0', '9.0'], out: ['8.4.9'] },
+  { text: 'from 9.4.0 onwards', min: '9.4.0', max: null, kind: 'open-max', in: ['10.1'], out: ['9.3.0'] },
+  { text: 'up to 9.4', min: null, max: '9.4', kind: 'open-min', in: ['7.0.0', '9.4.3'], out: ['9.5.0'] },
+  { text: 'Confluence 7.13 and earlier', min: null, max: '7.13', kind: 'open-min', in: ['7.4.0'], out: ['7.14.0'] },
+  { text: 'Jira 9.4 only', min: '9.4', max: '9.4', kind: 'exact', in: ['9.4', '9.4.0', '9.4.8'], out: ['9.5.0', '9.3.0'] },
+  { text: 'Jira Software Data Center 10.0.0-rc1 - 10.0.0', min: '10.0.0-rc1', max: '10.0.0', kind: 'range', in: ['10.0.0-rc2', '10.0.0'], out: ['10.0.0-m0003', '10.0.1'] },
+  { text: 'Jira 8.20.0-m0003 - 9.0.0', min: '8.20.0-m0003', max: '9.0.0', kind: 'range', in: ['8.20.0-rc1', '8.20.0'], out: ['8.19.9'] },
+  { text: 'Jira Server 9.4.0 - 8.13.0', min: '8.13.0', max: '9.4.0', kind: 'range', in: ['9.0'], out: ['9.5'] },
+  // Several clauses: each is its own range, the gap between them is not covered
+  { text: 'Jira Server 8.0.0 - 9.4.0, Jira Data Center 10.0.0 - 10.3.0', min: '8.0.0', max: '10.3.0', kind: 'union', in: ['8.5.0', '10.1.0'], out: ['9.8.0', '9.17.0', '10.4.0'] },
+  { text: '8.0 - 9.4; 10.0 - 10.3', min: '8.0', max: '10.3', kind: 'union', in: ['9.4.2', '10.0'], out: ['9.8'] },
+  { text: 'Jira 8.x or 10.x', min: '8', max: '10', kind: 'union', in: ['8.22.0', '10.3.0'], out: ['9.12.0'] },
+  { text: 'Confluence 7.19 only or 8.5 and later', min: '7.19', max: null, kind: 'union', in: ['7.19.2', '8.9.0'], out: ['8.0.0', '7.18.0'] }
+];
+
+test('parseCompatibilityString reads Marketplace compatibility text', () => {
+  for (const row of COMPATIBILITY_TEXT) {
+    const parsed = parseCompatibilityString(row.text);
+    assert.strictEqual(parsed.minVersion, row.min, `${row.text}: min`);
+    assert.strictEqual(parsed.maxVersion, row.max, `${row.text}: max`);
+    assert.strictEqual(parsed.kind, row.kind, `${row.text}: kind`);
+    for (const v of row.in) assert.ok(isVersionInAnyRange(v, parsed.ranges), `${row.text} covers ${v}`);
+    for (const v of row.out) assert.ok(!isVersionInAnyRange(v, parsed.ranges), `${row.text} does not cover ${v}`);
+  }
+});
+
+test('parseCompatibilityString keeps one range per clause', () => {
+  const parsed = parseCompatibilityString('8.0 - 9.4, 10.0 - 10.3');
+  assert.deepStrictEqual(parsed.ranges, [
+    { minVersion: '8.0', maxVersion: '9.4' },
+    { minVersion: '10.0', maxVersion: '10.3' }
+  ]);
+});
+
+const JUNK = [null, undefined, '', '   ', 'N/A', 'Compatible', 'See documentation', 'Jira Server', '—', 'TBD, TBD'];
+
+test('parseCompatibilityString reports junk input as none', () => {
+  for (const text of JUNK) {
+    const parsed = parseCompatibilityString(text);
+    assert.strictEqual(parsed.kind, 'none', String(text));
+    assert.deepStrictEqual(parsed.ranges, [], String(text));
+    assert.strictEqual(parsed.minVersion, null, String(text));
+    assert.strictEqual(parsed.maxVersion, null, String(text));
+  }
+});
+
+test('isVersionInRange handles open and shorter bounds', () => {
+  const rows = [
+    ['9.4.7', '8.0', '9.4', true],
+    ['9.12.0', '9', '9', true],
+    ['10.0.0', null, '9', false],
+    ['11.0.0', '10.0.0', null, true],
+    ['9.0.0', null, null, false],
+    ['', '8.0', '9.0', false]
+  ];
+  for (const [target, min, max, expected] of rows) {
+    assert.strictEqual(isVersionInRange(target, min, max), expected, `${target} in ${min}..${max}`);
+  }
+});
+
+test('formatRange renders open-ended ranges', () => {
+  assert.strictEqual(formatRange('8.0', '9.4'), '8.0 - 9.4');
+  assert.strictEqual(formatRange('9.4', '9.4'), '9.4');
+  assert.strictEqual(formatRange('10.0', null), '10.0+');
+  assert.strictEqual(formatRange(null, '9.4'), 'up to 9.4');
+  assert.strictEqual(formatRange(null, null), '');
+});
+
+test('buildResult only reports a multi-clause version compatible inside one of its clauses', () => {
+  const { buildResult } = require('../utils/scraper');
+  const plugin = { name: 'Demo', marketplaceUrl: 'https://marketplace.atlassian.com/apps/1/demo', currentVersion: '1.0.0' };
+  const versions = [
+    { version: '2.0.0', compatibility: 'Jira Server 8.0 - 9.4, Jira Data Center 10.0 - 10.3', minVersion: '8.0', maxVersion: '10.3' },
+    { version: '1.0.0', compatibility: '8.0 - 9.4' }
+  ];
+  const options = { releaseNoteRules: [] };
+
+  assert.strictEqual(buildResult(plugin, versions, '9.8', 'test', options).compatibleVersions.length, 0);
+  const onTen = buildResult(plugin, versions, '10.1', 'test', options);
+  assert.strictEqual(onTen.recommendedVersion, '2.0.0');
+  assert.strictEqual(onTen.compatibleVersions[0].compatibilityRange, '10.0 - 10.3');
+});
+
+test('buildResult matches each product compatibility entry of a version on its own', () => {
+  const { buildResult } = require('../utils/scraper');
+  const { extractVersionFromStateNode } = require('../utils/marketplaceParsers');
+  const plugin = { type: 'jira', name: 'Demo', marketplaceUrl: 'https://marketplace.atlassian.com/apps/1/demo', currentVersion: '1.0.0' };
+  const node = {
+    compatibilities: [
+      { application: 'jira', hosting: 'datacenter', min: '8.0.0', max: '8.22.0' },
+      { application: 'jira-software', hosting: 'datacenter', min: '10.0.0', max: '10.3.0' }
+    ]
+  };
+  const entry = extractVersionFromStateNode(node, '2.0.0', { applicationKeys: ['jira', 'jira-software', 'jira-core'] });
+  const options = { releaseNoteRules: [] };
+
+  assert.strictEqual(entry.compatibility, '8.0.0 - 8.22.0, 10.0.0 - 10.3.0');
+  assert.strictEqual(entry.compatibilities.length, 2);
+  assert.strictEqual(buildResult(plugin, [entry], '9.12.0', 'test', options).compatibleVersions.length, 0);
+  const onTen = buildResult(plugin, [entry], '10.1.0', 'test', options);
+  assert.strictEqual(onTen.recommendedVersion, '2.0.0');
+  assert.strictEqual(onTen.compatibleVersions[0].compatibilityRange, '10.0.0 - 10.3.0');
+
+  // Entries cached before compatibility listed each range still carry the merged span as text
+  const cached = { ...entry, compatibility: '8.0.0 - 10.3.0' };
+  assert.strictEqual(buildResult(plugin, [cached], '9.12.0', 'test', options).compatibleVersions.length, 0);
+});
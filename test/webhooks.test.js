@@ -0,0 +1,68 @@
+'use strict';
+
+// Webhook delivery bookkeeping, with the receiver and MongoDB stood in for
+
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { sendTestDelivery, redeliver } = require('../utils/webhooks');
+
+const webhook = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'CI',
+  url: 'https://hooks.example.com/compat',
+  secret: 'whsec_0123456789abcdef',
+  format: 'json',
+  enabled: true
+};
+let saved;
+let requests;
+
+before(() => {
+  mock.method(WebhookDelivery.prototype, 'save', async function () {
+    saved.push({ id: String(this._id), status: this.status, attempts: this.attempts, nextAttemptAt: this.nextAttemptAt });
+    return this;
+  });
+  mock.method(global, 'fetch', async (url, init) => {
+    requests.push(init);
+    return new Response('ok', { status: 200 });
+  });
+});
+
+after(() => mock.restoreAll());
+
+beforeEach(() => {
+  saved = [];
+  requests = [];
+});
+
+test('a new delivery is stored claimed until its first attempt settles', async () => {
+  const delivery = await sendTestDelivery(webhook);
+
+  assert.strictEqual(saved[0].attempts, 0);
+  assert.ok(saved[0].nextAttemptAt.getTime() > Date.now(), 'not due for the retry timer while in flight');
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(delivery.status, 'success');
+  assert.strictEqual(delivery.nextAttemptAt, null);
+});
+
+test('the body and the X-Webhook-Delivery header carry the same delivery ID', async () => {
+  const delivery = await sendTestDelivery(webhook);
+  const [request] = requests;
+  assert.strictEqual(JSON.parse(request.body).deliveryId, request.headers['X-Webhook-Delivery']);
+  assert.strictEqual(request.headers['X-Webhook-Delivery'], String(delivery._id));
+});
+
+test('a redelivery gets its own ID in both the body and the header', async () => {
+  const original = await sendTestDelivery(webhook);
+  requests = [];
+  saved = [];
+
+  const copy = await redeliver(original, webhook);
+  const [request] = requests;
+  assert.notStrictEqual(String(copy._id), String(original._id));
+  assert.strictEqual(request.headers['X-Webhook-Delivery'], String(copy._id));
+  assert.strictEqual(JSON.parse(request.body).deliveryId, String(copy._id));
+  assert.ok(saved[0].nextAttemptAt.getTime() > Date.now());
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Personal API tokens
+ * ===================
+ *
+ * Secrets look like "acc_<43 base64url chars>" and are shown once at creation.
+ * Only their SHA-256 is stored: the secret is random, so a slow hash adds
+ * nothing and a plain digest allows a direct index lookup.
+ *
+ *   Authorization: Bearer acc_…
+ */
+
+const crypto = require('crypto');
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+
+const TOKEN_PREFIX = 'acc_';
+const MAX_EXPIRY_DAYS = 366;
+// lastUsedAt is refreshed at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function generateTokenSecret() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/** "Bearer acc_…" → "acc_…", or null when the header carries no bearer token */
+function bearerToken(req) {
+  const header = req.headers && req.headers.authorization;
+  const match = String(header || '').match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : null;
+}
+
+/** Whether the request carries CRON_SECRET as its bearer token; false when none is configured */
+function isCronRequest(req) {
+  const expected = process.env.CRON_SECRET;
+  const given = bearerToken(req);
+  if (!expected || !given) return false;
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(given).digest(),
+    crypto.createHash('sha256').update(expected).digest()
+  );
+}
+
+/**
+ * Expiry from { expiresInDays } or { expiresAt }; null means "never".
+ * @throws {Error} for unparseable, past or too distant dates
+ */
+function resolveExpiry({ expiresInDays, expiresAt } = {}) {
+  let date = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) throw new Error('expiresInDays must be a positive number.');
+    date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  } else if (expiresAt) {
+    date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime())) throw new Error('expiresAt is not a valid date.');
+  }
+  if (date && date.getTime() <= Date.now()) throw new Error('Token expiry must be in the future.');
+  if (date && date.getTime() > Date.now() + MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+    throw new Error(`Token expiry can be at most ${MAX_EXPIRY_DAYS} days away.`);
+  }
+  return date;
+}
+
+/**
+ * @returns {Promise<{ token: Object, secret: string }>} secret is returned only here
+ */
+async function createApiToken(user, { name, scopes, expiresAt }) {
+  const secret = generateTokenSecret();
+  const token = await ApiToken.create({
+    name,
+    userId: user.id,
+    username: user.username,
+    tokenHash: hashToken(secret),
+    prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    expiresAt
+  });
+  return { token, secret };
+}
+
+/**
+ * Look up the token and its owner.
+ * @returns {Promise<{ token: Object, user: Object } | { error: string }>}
+ */
+async function authenticateToken(secret) {
+  const token = await ApiToken.findOne({ tokenHash: hashToken(secret) }).lean();
+  if (!token || token.revokedAt) return { error: 'Invalid or revoked API token.' };
+  if (token.expiresAt && new Date(token.expiresAt).getTime() <= Date.now()) {
+    return { error: 'API token has expired.' };
+  }
+
+  const user = await User.findById(token.userId).lean();
+  if (!user || user.disabled) return { error: 'The account owning this API token is disabled.' };
+
+  if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiToken.updateOne({ _id: token._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+  }
+  return { token, user };
+}
+
+module.exports = {
+  hashToken,
+  bearerToken,
+  isCronRequest,
+  resolveExpiry,
+  createApiToken,
+  authenticateToken
+};
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Audit log
+ * =========
+ *
+ * recordAudit() appends AuditEvent documents for inventory changes, logins,
+ * check runs and account administration. Writing the audit trail must never
+ * break the request it describes, so failures are logged and swallowed.
+ *
+ * Actions:
+ *   plugin.create / plugin.update / plugin.delete     (meta.via: 'api' | 'bulk' | 'file' | 'upm')
+ *   auth.login / auth.logout / auth.password_change   (failed logins have outcome 'failure')
+ *   check.run / check.cancel / run.delete
+ *   user.create / user.update / user.reset_password
+ *   token.create / token.revoke
+ *   watch.create / watch.update / watch.delete
+ *   webhook.create / webhook.update / webhook.delete   (meta.secretRotated on update)
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+const PLUGIN_FIELDS = ['type', 'name', 'marketplaceUrl', 'currentVersion', 'notes', 'appKey'];
+const WATCH_FIELDS = ['name', 'type', 'targetDCVersion', 'pluginIds', 'intervalMinutes', 'enabled', 'recipients'];
+// Never the signing secret
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'productTypes', 'format', 'enabled'];
+
+const AUDIT_EXPORT_COLUMNS = [
+  { header: 'Time',         key: 'at',          width: 24 },
+  { header: 'Actor',        key: 'actor',       width: 18 },
+  { header: 'Action',       key: 'action',      width: 22 },
+  { header: 'Outcome',      key: 'outcome',     width: 10 },
+  { header: 'Target Type',  key: 'targetType',  width: 12 },
+  { header: 'Target',       key: 'targetName',  width: 30 },
+  { header: 'Target ID',    key: 'targetId',    width: 26 },
+  { header: 'Product',      key: 'productType', width: 12 },
+  { header: 'Changes',      key: 'changes',     width: 50 },
+  { header: 'Via Token',    key: 'tokenId',     width: 26 },
+  { header: 'IP',           key: 'ip',          width: 16 }
+];
+
+function snapshotFields(doc, fields) {
+  if (!doc) return null;
+  const snapshot = {};
+  for (const field of fields) {
+    if (doc[field] !== undefined && doc[field] !== null) snapshot[field] = doc[field];
+  }
+  return snapshot;
+}
+
+/** Plain snapshot of the audited plugin fields */
+function pluginSnapshot(plugin) {
+  return snapshotFields(plugin, PLUGIN_FIELDS);
+}
+
+/** Fields whose value differs between two snapshots */
+function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const field of fields) {
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+function actorFromRequest(req, fallbackUsername) {
+  const user = (req && req.user) || (req && req.session && req.session.user) || {};
+  return {
+    username: user.username || fallbackUsername || null,
+    userId:   user.id || null,
+    tokenId:  user.tokenId || null,
+    ip:       (req && (req.ip || (req.socket && req.socket.remoteAddress))) || null
+  };
+}
+
+/** Event for a plugin create / update / delete */
+function pluginEvent(action, before, after, meta) {
+  const plugin = after || before;
+  const snapBefore = pluginSnapshot(before);
+  const snapAfter = pluginSnapshot(after);
+  return {
+    action,
+    targetType:  'plugin',
+    targetId:    plugin && plugin._id ? String(plugin._id) : null,
+    targetName:  plugin ? plugin.name : null,
+    productType: plugin ? plugin.type : null,
+    before:      snapBefore,
+    after:       snapAfter,
+    changes:     diffSnapshots(snapBefore, snapAfter),
+    meta:        meta || null
+  };
+}
+
+/** Event for a watch create / update / delete */
+function watchEvent(action, before, after) {
+  const watch = after || before;
+  // ObjectId arrays compare and export as plain strings
+  const snap = doc => {
+    const snapshot = snapshotFields(doc, WATCH_FIELDS);
+    if (snapshot && snapshot.pluginIds) snapshot.pluginIds = snapshot.pluginIds.map(String);
+    if (snapshot && snapshot.recipients) snapshot.recipients = [...snapshot.recipients];
+    return snapshot;
+  };
+  const snapBefore = snap(before);
+  const snapAfter = snap(after);
+  return {
+    action,
+    targetType:  'watch',
+    targetId:    watch && watch._id ? String(watch._id) : null,
+    targetName:  watch ? watch.name : null,
+    productType: watch ? watch.type : null,
+    before:      snapBefore,
+    after:       snapAfter,
+    changes:     diffSnapshots(snapBefore, snapAfter)
+  };
+}
+
+/** Event for a webhook create / update / delete */
+function webhookEvent(action, before, after, meta) {
+  const webhook = after || before;
+  const snap = doc => {
+    const snapshot = snapshotFields(doc, WEBHOOK_FIELDS);
+    if (snapshot && snapshot.events) snapshot.events = [...snapshot.events];
+    if (snapshot && snapshot.productTypes) snapshot.productTypes = [...snapshot.productTypes];
+    return snapshot;
+  };
+  const snapBefore = snap(before);
+  const snapAfter = snap(after);
+  return {
+    action,
+    targetType: 'webhook',
+    targetId:   webhook && webhook._id ? String(webhook._id) : null,
+    targetName: webhook ? webhook.name : null,
+    before:     snapBefore,
+    after:      snapAfter,
+    changes:    diffSnapshots(snapBefore, snapAfter),
+    meta:       meta || null
+  };
+}
+
+/** Event for a finished (completed, failed or cancelled) check run */
+function checkRunEvent(run) {
+  return {
+    action: 'check.run',
+    outcome: run.status === 'completed' ? 'success' : 'failure',
+    targetType: 'run',
+    targetId: String(run._id),
+    targetName: `DC ${(run.targetDCVersions.length ? run.targetDCVersions : [run.targetDCVersion]).join(', ')}`,
+    productType: run.type,
+    meta: {
+      status: run.status,
+      targets: run.targetDCVersions,
+      currentDCVersion: run.currentDCVersion || null,
+      plugins: run.plugins.length,
+      summary: run.summary || null,
+      error: run.error || null
+    }
+  };
+}
+
+/**
+ * @param {Object} req - Express request (actor, IP)
+ * @param {Object|Object[]} events - { action, targetType, targetId, ... }
+ * @param {Object} [options]
+ * @param {string} [options.username] - Actor when the request is not authenticated (login attempts)
+ */
+async function recordAudit(req, events, options = {}) {
+  const list = [].concat(events).filter(Boolean);
+  if (!list.length) return;
+  const actor = actorFromRequest(req, options.username);
+  const at = new Date();
+  try {
+    await AuditEvent.insertMany(list.map(e => ({ at, actor, ...e })), { ordered: false });
+  } catch (err) {
+    console.error('⚠️  Audit log write failed:', err.message);
+  }
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mongo filter from GET /api/audit query parameters:
+ * actor, action (exact, or a prefix ending in "." such as "plugin."), targetType,
+ * targetId, productType, outcome, q (target name contains), from, to (ISO dates)
+ * @throws {Error} for unparseable dates
+ */
+function buildAuditFilter(query = {}) {
+  const filter = {};
+  if (query.actor) filter['actor.username'] = String(query.actor).toLowerCase();
+  if (query.action) {
+    const action = String(query.action);
+    filter.action = action.endsWith('.') ? { $regex: `^${escapeRegex(action)}` } : action;
+  }
+  for (const key of ['targetType', 'targetId', 'productType', 'outcome']) {
+    if (query[key]) filter[key] = String(query[key]);
+  }
+  if (query.q) filter.targetName = { $regex: escapeRegex(query.q), $options: 'i' };
+
+  if (query.from || query.to) {
+    filter.at = {};
+    for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) throw new Error(`Invalid "${key}" date.`);
+      filter.at[op] = date;
+    }
+  }
+  return filter;
+}
+
+/** Flat rows for CSV export */
+function buildAuditRows(events) {
+  return events.map(e => ({
+    at:          e.at ? new Date(e.at).toISOString() : '',
+    actor:       (e.actor && e.actor.username) || '',
+    action:      e.action,
+    outcome:     e.outcome || 'success',
+    targetType:  e.targetType || '',
+    targetName:  e.targetName || '',
+    targetId:    e.targetId || '',
+    productType: e.productType || '',
+    changes:     (e.changes || []).map(c => `${c.field}: ${c.from === null ? '∅' : c.from} → ${c.to === null ? '∅' : c.to}`).join('; '),
+    tokenId:     (e.actor && e.actor.tokenId) || '',
+    ip:          (e.actor && e.actor.ip) || ''
+  }));
+}
+
+module.exports = {
+  AUDIT_EXPORT_COLUMNS,
+  pluginSnapshot,
+  diffSnapshots,
+  pluginEvent,
+  watchEvent,
+  webhookEvent,
+  checkRunEvent,
+  recordAudit,
+  buildAuditFilter,
+  buildAuditRows
+};
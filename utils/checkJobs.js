@@ -0,0 +1,488 @@
+'use strict';
+
+/**
+ * Check jobs
+ * ==========
+ *
+ * A compatibility check is a CheckRun processed in chunks, so no single
+ * request has to outlive the serverless time limit (vercel.json: 60s):
+ *
+ *   createCheckJob()    → run with status 'queued' and one null result per plugin
+ *   processJobChunk()   → takes the run's lease, checks pending plugins until
+ *                         JOB_CHUNK_SECONDS (default 45) have passed, stores each
+ *                         result as it arrives, then releases the lease
+ *   streamJob()         → SSE: replays stored events after Last-Event-ID, then
+ *                         drives chunks itself (or tails another worker's) and
+ *                         closes at the chunk budget; EventSource reconnects and
+ *                         the next request picks up where this one stopped
+ *   cancelCheckJob()    → marks the job cancelled; the worker holding the lease
+ *                         stops starting plugins and closes its browser
+ *
+ * onJobFinished() listeners run once per job when it completes, fails or is
+ * cancelled (scheduled watches use this to compare outcomes).
+ *
+ * Events: start, progress (free text plus done/total), pluginResult (one per
+ * plugin, as soon as it is stored), paused, complete, cancelled, error.
+ * complete carries the run ID and summary only; the results are in the
+ * pluginResult events and GET /api/runs/:id. The original SSE route streams
+ * with completeWithResults, which adds them back to its complete event.
+ *
+ * A worker that dies mid-chunk leaves an expiring lease and no result for the
+ * plugins it was on; the next chunk checks those again. Outside serverless
+ * (or with JOB_BACKGROUND=true) jobs are also driven in the background.
+ */
+
+const crypto = require('crypto');
+const CheckRun = require('../models/CheckRun');
+const CheckEvent = require('../models/CheckEvent');
+const Plugin = require('../models/Plugin');
+const { checkCompatibility } = require('./scraper');
+const { summarizeResults } = require('./excelGenerator');
+const { versionCache } = require('./versionCache');
+const { checkRunEvent, recordAudit } = require('./audit');
+const { sleep } = require('./concurrency');
+
+const DEFAULT_CHUNK_SECONDS = 45;
+// Lease outlives the chunk budget so a plugin that is still running is not checked twice
+const LEASE_GRACE_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+// How often a worker re-reads the run to notice a cancel made by another instance
+const CANCEL_POLL_MS = 2000;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Chunks running in this process, so a cancel here aborts them without waiting for the poll
+const activeChunks = new Map();
+const finishedListeners = [];
+
+function chunkBudgetMs() {
+  const seconds = parseFloat(process.env.JOB_CHUNK_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_CHUNK_SECONDS) * 1000;
+}
+
+/** JOB_BACKGROUND overrides; by default jobs run in the background except on Vercel */
+function isBackgroundEnabled() {
+  const flag = process.env.JOB_BACKGROUND;
+  if (flag !== undefined && flag !== '') return !['false', '0', 'off', 'no'].includes(flag.toLowerCase());
+  return !process.env.VERCEL;
+}
+
+function isFinished(run) {
+  return FINISHED_STATUSES.includes(run.status);
+}
+
+function newWorkerId() {
+  return `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/** Results stored so far, for summaries of cancelled runs */
+function storedResults(run) {
+  return run.results.filter(Boolean);
+}
+
+/** Indexes of plugins without a stored result */
+function pendingIndexes(run) {
+  return run.plugins.map((p, idx) => (run.results[idx] ? null : idx)).filter(idx => idx !== null);
+}
+
+/** SSE ids are "<jobId>:<seq>" so a bare reconnect still identifies the job */
+function formatEventId(runId, seq) {
+  return `${runId}:${seq}`;
+}
+
+function parseEventId(value) {
+  const match = String(value || '').match(/^([0-9a-f]{24}):(\d+)$/i);
+  return match ? { jobId: match[1], seq: parseInt(match[2], 10) } : { jobId: null, seq: 0 };
+}
+
+/** @param {Function} listener - async (run) => void, called with the finished CheckRun */
+function onJobFinished(listener) {
+  finishedListeners.push(listener);
+}
+
+/** Audit the finished run and tell the listeners; neither may break the job */
+async function jobFinished(run) {
+  await recordAudit(null, checkRunEvent(run), { username: run.runBy });
+  for (const listener of finishedListeners) {
+    try {
+      await listener(run);
+    } catch (err) {
+      console.error(`⚠️  Job ${run._id}: finish listener failed:`, err.message);
+    }
+  }
+}
+
+/**
+ * @param {Object} params - { type, targets, currentDCVersion, pluginIds, refresh, runBy, watchId }
+ * @returns {Promise<Object|null>} the queued CheckRun, or null when no plugin matches
+ */
+async function createCheckJob({ type, targets, currentDCVersion, pluginIds, refresh, runBy, watchId }) {
+  const filter = { type };
+  if (pluginIds && pluginIds.length) filter._id = { $in: pluginIds };
+  const plugins = await Plugin.find(filter);
+  if (!plugins.length) return null;
+
+  const run = await CheckRun.create({
+    type,
+    targetDCVersion: targets[0],
+    targetDCVersions: targets,
+    currentDCVersion: currentDCVersion || null,
+    runBy,
+    watchId: watchId || null,
+    status: 'queued',
+    refresh: !!refresh,
+    progress: { done: 0, total: plugins.length },
+    results: plugins.map(() => null),
+    plugins: plugins.map(p => ({
+      pluginId: p._id,
+      name: p.name,
+      marketplaceUrl: p.marketplaceUrl,
+      currentVersion: p.currentVersion
+    }))
+  });
+
+  await CheckEvent.create({
+    runId: run._id,
+    seq: 1,
+    data: { type: 'start', runId: run._id, jobId: run._id, total: plugins.length, message: `Starting compatibility check for ${plugins.length} plugins...` }
+  });
+  return run;
+}
+
+/** Keep the plugin's vendor / support metadata current; never fails the check */
+async function storeMarketplaceInfo(pluginId, info) {
+  if (!pluginId || !info) return;
+  try {
+    await Plugin.updateOne({ _id: pluginId }, { $set: { marketplaceInfo: { ...info, checkedAt: new Date() } } });
+  } catch (err) {
+    console.error(`⚠️  Plugin ${pluginId}: marketplace info not stored:`, err.message);
+  }
+}
+
+async function claimLease(runId, owner, budgetMs) {
+  const now = new Date();
+  return CheckRun.findOneAndUpdate(
+    {
+      _id: runId,
+      status: { $in: ['queued', 'running'] },
+      $or: [{ 'lease.expiresAt': null }, { 'lease.expiresAt': { $lt: now } }, { 'lease.owner': owner }]
+    },
+    { $set: { status: 'running', 'lease.owner': owner, 'lease.expiresAt': new Date(now.getTime() + budgetMs + LEASE_GRACE_MS) } },
+    { new: true }
+  );
+}
+
+async function lastEventSeq(runId) {
+  const last = await CheckEvent.findOne({ runId }).sort({ seq: -1 }).select('seq').lean();
+  return last ? last.seq : 0;
+}
+
+async function readJobEvents(runId, afterSeq = 0) {
+  return CheckEvent.find({ runId, seq: { $gt: afterSeq } }).sort({ seq: 1 }).lean();
+}
+
+/**
+ * Check pending plugins of a job for up to `budgetMs`.
+ * @param {Object} [options]
+ * @param {number}   [options.budgetMs] - Defaults to JOB_CHUNK_SECONDS
+ * @param {Function} [options.onEvent] - ({ seq, data }) => void for each new event, as it happens
+ * @param {AbortSignal} [options.signal] - Stops the chunk early (e.g. the streaming client left);
+ *   the job stays resumable
+ * @returns {Promise<{ claimed: boolean, finished?: boolean, status?: string }>}
+ *   claimed is false when the job is finished or another worker holds the lease
+ */
+async function processJobChunk(runId, options = {}) {
+  const owner = newWorkerId();
+  const budgetMs = options.budgetMs || chunkBudgetMs();
+  const run = await claimLease(runId, owner, budgetMs);
+  if (!run) return { claimed: false };
+
+  let seq = await lastEventSeq(runId);
+  let writes = Promise.resolve();
+  const emit = data => {
+    const event = { seq: ++seq, data };
+    writes = writes
+      .then(() => CheckEvent.create({ runId, seq: event.seq, data }))
+      .catch(err => console.error(`⚠️  Job ${runId}: event ${event.seq} not stored:`, err.message));
+    if (options.onEvent) options.onEvent(event);
+  };
+
+  // Aborted by cancelCheckJob() (reason 'cancelled') or by the caller's signal (reason 'stopped')
+  const stop = new AbortController();
+  const key = String(runId);
+  activeChunks.set(key, stop);
+  const onCallerAbort = () => stop.abort('stopped');
+  if (options.signal) {
+    if (options.signal.aborted) stop.abort('stopped');
+    else options.signal.addEventListener('abort', onCallerAbort, { once: true });
+  }
+  const cancelPoll = setInterval(async () => {
+    const current = await CheckRun.findById(runId).select('status').lean().catch(() => null);
+    if (current && current.status === 'cancelled') stop.abort('cancelled');
+  }, CANCEL_POLL_MS);
+
+  try {
+    const pending = pendingIndexes(run);
+    const total = run.plugins.length;
+    let done = total - pending.length;
+    if (done) {
+      emit({ type: 'progress', done, total, message: `Resuming: ${done}/${total} plugins already checked` });
+    }
+
+    // Plugins already started when the budget runs out finish; the rest wait for the next chunk
+    await checkCompatibility(
+      pending.map(idx => ({ type: run.type, ...run.plugins[idx].toObject() })),
+      run.targetDCVersions.length ? run.targetDCVersions : [run.targetDCVersion],
+      message => emit({ type: 'progress', done, total, message }),
+      {
+        currentDCVersion: run.currentDCVersion || null,
+        productType: run.type,
+        cache: versionCache,
+        refresh: run.refresh,
+        deadline: Date.now() + budgetMs,
+        signal: stop.signal,
+        onResult: async (result, i) => {
+          const idx = pending[i];
+          const leaseUntil = new Date(Date.now() + LEASE_GRACE_MS);
+          const first = await CheckRun.updateOne(
+            { _id: runId, [`results.${idx}`]: null },
+            { $set: { [`results.${idx}`]: result, 'lease.expiresAt': leaseUntil }, $inc: { 'progress.done': 1 } }
+          );
+          // Another worker got there first after our lease lapsed; keep the newer result only
+          if (!first.modifiedCount) {
+            await CheckRun.updateOne({ _id: runId }, { $set: { [`results.${idx}`]: result } });
+          } else {
+            done++;
+          }
+          await storeMarketplaceInfo(run.plugins[idx].pluginId, result.marketplaceInfo);
+          emit({ type: 'pluginResult', index: idx, done, total, result });
+        }
+      }
+    );
+
+    const fresh = await CheckRun.findById(runId);
+    if (fresh.status === 'cancelled') {
+      fresh.summary = summarizeResults(storedResults(fresh));
+      fresh.lease = { owner: null, expiresAt: null };
+      await fresh.save();
+      emit(cancelledEvent(fresh));
+      await writes;
+      await jobFinished(fresh);
+      return { claimed: true, finished: true, status: fresh.status };
+    }
+    if (!pendingIndexes(fresh).length) {
+      fresh.summary = summarizeResults(fresh.results);
+      fresh.status = 'completed';
+      fresh.completedAt = new Date();
+      fresh.lease = { owner: null, expiresAt: null };
+      await fresh.save();
+      emit({ type: 'complete', runId: fresh._id, jobId: fresh._id, summary: fresh.summary });
+      await writes;
+      await jobFinished(fresh);
+      return { claimed: true, finished: true, status: fresh.status };
+    }
+
+    await CheckRun.updateOne({ _id: runId, 'lease.owner': owner }, { $set: { 'lease.owner': null, 'lease.expiresAt': null } });
+    emit({
+      type: 'paused',
+      jobId: runId,
+      done: fresh.progress.done,
+      total: fresh.plugins.length,
+      message: stop.signal.aborted
+        ? `Stopped after ${fresh.progress.done}/${fresh.plugins.length} plugins; the job can be resumed`
+        : `Checked ${fresh.progress.done}/${fresh.plugins.length} plugins; continuing in the next chunk`
+    });
+    await writes;
+    return { claimed: true, finished: false, status: fresh.status };
+  } catch (err) {
+    const failed = await CheckRun.findByIdAndUpdate(runId, {
+      $set: { status: 'failed', error: err.message, completedAt: new Date(), 'lease.owner': null, 'lease.expiresAt': null }
+    }, { new: true }).catch(() => null);
+    emit({ type: 'error', jobId: runId, message: err.message });
+    await writes;
+    if (failed) await jobFinished(failed);
+    return { claimed: true, finished: true, status: 'failed' };
+  } finally {
+    clearInterval(cancelPoll);
+    if (options.signal) options.signal.removeEventListener('abort', onCallerAbort);
+    if (activeChunks.get(key) === stop) activeChunks.delete(key);
+  }
+}
+
+function cancelledEvent(run) {
+  const done = run.plugins.length - pendingIndexes(run).length;
+  return {
+    type: 'cancelled',
+    jobId: run._id,
+    done,
+    total: run.plugins.length,
+    summary: run.summary,
+    message: `Check cancelled after ${done}/${run.plugins.length} plugins`
+  };
+}
+
+/**
+ * Cancel a queued or running job. Results stored so far are kept.
+ * @returns {Promise<Object|null>} the updated run, or null when it is not found or already finished
+ */
+async function cancelCheckJob(runId, cancelledBy) {
+  const run = await CheckRun.findOneAndUpdate(
+    { _id: runId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'cancelled', cancelledBy: cancelledBy || null, completedAt: new Date() } },
+    { new: true }
+  );
+  if (!run) return null;
+
+  const local = activeChunks.get(String(runId));
+  if (local) local.abort('cancelled');
+
+  // A live worker emits the 'cancelled' event itself when it notices; otherwise nobody would
+  const leased = run.lease && run.lease.expiresAt && run.lease.expiresAt > new Date();
+  if (!leased) {
+    run.summary = summarizeResults(storedResults(run));
+    await run.save();
+    await CheckEvent.create({ runId: run._id, seq: (await lastEventSeq(run._id)) + 1, data: cancelledEvent(run) })
+      .catch(err => console.error(`⚠️  Job ${runId}: cancel event not stored:`, err.message));
+    await jobFinished(run);
+  }
+  return run;
+}
+
+/** Process chunks until the job finishes or another worker owns it */
+async function driveJob(runId) {
+  for (;;) {
+    const outcome = await processJobChunk(runId);
+    if (!outcome.claimed || outcome.finished) return;
+  }
+}
+
+function driveInBackground(runId) {
+  if (!isBackgroundEnabled()) return;
+  driveJob(runId).catch(err => console.error(`⚠️  Job ${runId} stopped:`, err.message));
+}
+
+/** Pick up jobs left unfinished by a previous process (expired or missing lease) */
+async function resumePendingJobs() {
+  if (!isBackgroundEnabled()) return 0;
+  const stale = await CheckRun.find({
+    status: { $in: ['queued', 'running'] },
+    $or: [{ 'lease.expiresAt': null }, { 'lease.expiresAt': { $lt: new Date() } }]
+  }).select('_id');
+  stale.forEach(run => driveInBackground(run._id));
+  return stale.length;
+}
+
+/**
+ * Stream a job's events over SSE, resuming after `afterSeq`. While connected
+ * the stream also processes chunks (unless `advance` is false, which only
+ * tails the stored events); it ends when the job finishes or the chunk budget
+ * is used up (the client's EventSource then reconnects). A client that
+ * disconnects stops the chunk this stream is running.
+ * @param {Object} [options]
+ * @param {boolean} [options.advance=true] - Process chunks; false for callers who may only watch
+ * @param {boolean} [options.cancelOnDisconnect] - Also cancel the job when the client leaves
+ * @param {boolean} [options.completeWithResults] - Send the run's results with the complete event,
+ *   as GET /api/check-compatibility always has
+ */
+async function streamJob(req, res, runId, afterSeq = 0, options = {}) {
+  // 204 tells EventSource to stop reconnecting once a finished job has nothing left to send
+  const [current, unseen] = await Promise.all([
+    CheckRun.findById(runId).select('status').lean(),
+    CheckEvent.countDocuments({ runId, seq: { $gt: afterSeq } })
+  ]);
+  if (!current) return res.status(404).json({ error: 'Job not found.' });
+  if (isFinished(current) && !unseen) return res.status(204).end();
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write('retry: 1000\n\n');
+
+  let cursor = afterSeq;
+  let closed = false;
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    // 'close' also fires after our own res.end(); only an unfinished response means the client left
+    if (res.writableEnded) return;
+    disconnect.abort();
+    if (options.cancelOnDisconnect) {
+      cancelCheckJob(runId, req.user && req.user.username)
+        .catch(err => console.error(`⚠️  Job ${runId}: cancel on disconnect failed:`, err.message));
+    }
+  });
+
+  const write = (seq, data) => res.write(`id: ${formatEventId(runId, seq)}\ndata: ${JSON.stringify(data)}\n\n`);
+  // complete is the last event; with completeWithResults it is held back until the results are read
+  let complete = null;
+  const send = ({ seq, data }) => {
+    if (closed || seq <= cursor) return;
+    cursor = seq;
+    if (data.type === 'complete' && options.completeWithResults) complete = { seq, data };
+    else write(seq, data);
+  };
+  const replay = async () => (await readJobEvents(runId, cursor)).forEach(send);
+
+  const deadline = Date.now() + chunkBudgetMs();
+  try {
+    await replay();
+    while (!closed) {
+      const run = await CheckRun.findById(runId).select('status').lean();
+      if (!run || isFinished(run) || Date.now() >= deadline) {
+        await replay();
+        break;
+      }
+      const outcome = options.advance === false
+        ? { claimed: false }
+        : await processJobChunk(runId, { budgetMs: deadline - Date.now(), onEvent: send, signal: disconnect.signal });
+      if (!outcome.claimed) await sleep(POLL_INTERVAL_MS);
+      await replay();
+    }
+    if (complete && !closed) {
+      const run = await CheckRun.findById(runId).select('results').lean();
+      write(complete.seq, { ...complete.data, results: run ? storedResults(run) : [] });
+    }
+  } catch (err) {
+    if (!closed) res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
+  }
+  res.end();
+}
+
+/** GET /api/jobs/:id body */
+function jobView(run, { includeResults = false } = {}) {
+  const total = run.plugins.length;
+  const done = total - pendingIndexes(run).length;
+  return {
+    jobId: run._id,
+    runId: run._id,
+    status: run.status,
+    type: run.type,
+    targetDCVersions: run.targetDCVersions.length ? run.targetDCVersions : [run.targetDCVersion],
+    currentDCVersion: run.currentDCVersion || null,
+    runBy: run.runBy,
+    progress: { done, total, percent: total ? Math.round((done / total) * 100) : 100 },
+    summary: ['completed', 'cancelled'].includes(run.status) ? run.summary : null,
+    error: run.error || null,
+    cancelledBy: run.cancelledBy || null,
+    startedAt: run.startedAt,
+    completedAt: run.completedAt || null,
+    events: `/api/jobs/${run._id}/events`,
+    ...(includeResults ? { results: run.results } : {})
+  };
+}
+
+module.exports = {
+  createCheckJob,
+  onJobFinished,
+  isBackgroundEnabled,
+  chunkBudgetMs,
+  processJobChunk,
+  cancelCheckJob,
+  driveInBackground,
+  resumePendingJobs,
+  streamJob,
+  readJobEvents,
+  parseEventId,
+  jobView
+};
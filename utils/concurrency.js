@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Concurrency helpers for the scraper
+ * ===================================
+ *
+ *  - mapWithConcurrency() → bounded worker pool, results keep input order
+ *  - TokenBucket / acquireHostToken() → per-host request rate limiting
+ *  - withRetry() → exponential backoff that honours Retry-After
+ */
+
+/**
+ * Run fn over items with at most `limit` calls in flight.
+ * @returns {Promise<Array>} results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+class TokenBucket {
+  /**
+   * @param {number} ratePerSec - Tokens added per second
+   * @param {number} capacity - Maximum burst size
+   */
+  constructor(ratePerSec, capacity) {
+    this.ratePerSec = ratePerSec;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSec);
+    this.updatedAt = now;
+  }
+
+  /** Resolves once a token is available. Callers are served first come, first served. */
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.ratePerSec) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+const buckets = new Map();
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/** Wait for this host's rate limit. marketplace.atlassian.com gets its own, stricter settings. */
+function acquireHostToken(hostname) {
+  if (!buckets.has(hostname)) {
+    const isMarketplace = hostname === 'marketplace.atlassian.com';
+    const rate = isMarketplace ? envNumber('MARKETPLACE_RATE_PER_SEC', 2) : envNumber('HOST_RATE_PER_SEC', 5);
+    const burst = isMarketplace ? envNumber('MARKETPLACE_RATE_BURST', 4) : rate * 2;
+    buckets.set(hostname, new TokenBucket(rate, burst));
+  }
+  return buckets.get(hostname).take();
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/** Retry-After is either delta-seconds or an HTTP date */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** 429, 5xx and network timeouts are worth another try; other errors are not */
+function isRetryable(err) {
+  if (err.statusCode) return err.statusCode === 429 || err.statusCode >= 500;
+  return err.message === 'Timeout' || ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'].includes(err.code);
+}
+
+/**
+ * @param {Function} fn - async () => value
+ * @param {Object} [opts]
+ * @param {number} [opts.retries=3]
+ * @param {number} [opts.baseDelayMs=1000]
+ * @param {number} [opts.maxDelayMs=30000]
+ * @param {Function} [opts.onRetry] - (err, attempt, delayMs) => void
+ */
+async function withRetry(fn, opts = {}) {
+  const { retries = 3, baseDelayMs = 1000, maxDelayMs = 30000, onRetry } = opts;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const backoff = baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+      const delay = Math.min(maxDelayMs, err.retryAfterMs != null ? err.retryAfterMs : backoff);
+      if (onRetry) onRetry(err, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  mapWithConcurrency,
+  TokenBucket,
+  acquireHostToken,
+  withRetry,
+  parseRetryAfter,
+  sleep
+};
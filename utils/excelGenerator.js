@@ -1,4 +1,5 @@
 const ExcelJS = require('exceljs');
+const { productLabel: labelFor, productShortLabel } = require('./products');
 
 // Color palette
 const COLORS = {
@@ -62,22 +63,65 @@ function applyDataCell(cell, bgColor, fgColor, opts = {}) {
   cell.border = borderStyle('CBD5E1');
 }
 
+function writeTitleRow(ws, range, text, opts = {}) {
+  ws.mergeCells(range);
+  const cell = ws.getCell(range.split(':')[0]);
+  cell.value = text;
+  cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${opts.bg || COLORS.titleBg}` } };
+  cell.font = { bold: !opts.italic, italic: !!opts.italic, size: opts.size || 14, color: { argb: `FF${opts.fg || COLORS.titleFg}` }, name: 'Calibri' };
+  cell.alignment = { vertical: 'middle', horizontal: 'center' };
+  ws.getRow(cell.row).height = opts.height || 35;
+  return cell;
+}
+
+/** One-cell summary of planUpgradePath() output */
+function formatUpgradePath(plan) {
+  if (!plan) return 'N/A';
+  const whenLabel = { 'before-platform-upgrade': 'before DC upgrade', 'after-platform-upgrade': 'after DC upgrade' };
+  const steps = plan.steps.map(step =>
+    `${step.order}. ${step.pluginVersion} (${whenLabel[step.when]}${step.required ? '' : ', optional'})`
+  );
+  return [plan.message, ...steps].join('\n');
+}
+
+/**
+ * Count results by outcome. Shared by the report header and stored check runs.
+ * @param {Array} results - Array of plugin compatibility results
+ * @returns {{total: number, compatible: number, notCompatible: number, needsUpgrade: number, errors: number}}
+ */
+function summarizeResults(results) {
+  return {
+    total: results.length,
+    compatible: results.filter(r => r.compatible === true).length,
+    notCompatible: results.filter(r => r.compatible === false).length,
+    needsUpgrade: results.filter(r => r.compatible === false && r.compatibleVersions && r.compatibleVersions.length > 0).length,
+    errors: results.filter(r => r.error).length
+  };
+}
+
 /**
  * Generate a styled Excel workbook from compatibility results.
  * @param {Array} results - Array of plugin compatibility results
- * @param {string} productType - 'jira' or 'confluence'
- * @param {string} targetDCVersion - The target Data Center version checked
+ * @param {string} productType - Product registry key, e.g. 'jira' or 'jsm'
+ * @param {string|string[]} targetDCVersion - Target DC version(s); several add a matrix sheet
  * @returns {Buffer} Excel file as buffer
  */
 async function generateExcel(results, productType, targetDCVersion) {
+  // Several targets → first one drives the main sheet, all of them the matrix
+  const targets = Array.isArray(targetDCVersion)
+    ? targetDCVersion
+    : String(targetDCVersion).split(',').map(v => v.trim()).filter(Boolean);
+  targetDCVersion = targets[0];
+
   const workbook = new ExcelJS.Workbook();
   workbook.creator = 'Atlassian Compatibility Checker';
   workbook.lastModifiedBy = 'Atlassian Compatibility Checker';
   workbook.created = new Date();
   workbook.modified = new Date();
 
-  const productLabel = productType === 'jira' ? 'Jira' : 'Confluence';
-  const sheetName = `${productLabel} Compatibility`;
+  const productLabel = labelFor(productType);
+  const sheetLabel = productShortLabel(productType);
+  const sheetName = `${sheetLabel} Compatibility`;
 
   const ws = workbook.addWorksheet(sheetName, {
     pageSetup: {
@@ -90,8 +134,46 @@ async function generateExcel(results, productType, targetDCVersion) {
     properties: { defaultRowHeight: 22 }
   });
 
+  // ==== COLUMNS ====
+  const columns = [
+    { header: '#', key: 'num', width: 5 },
+    { header: 'Plugin Name', key: 'name', width: 30 },
+    { header: 'Current Version', key: 'currentVersion', width: 16 },
+    { header: `Compatible with DC ${targetDCVersion}?`, key: 'compatible', width: 22 },
+    { header: 'Recommended Version', key: 'recommended', width: 20 },
+    { header: 'Compatible Version Range', key: 'range', width: 28 },
+    { header: 'DC Compatibility (Recommended)', key: 'dcCompat', width: 34 },
+    { header: 'Marketplace URL', key: 'url', width: 50 }
+  ];
+
+  // Staged upgrade planning (checks run with a current DC version)
+  const upgradePathFrom = (results.find(r => r.upgradePath) || {}).upgradePath;
+  if (upgradePathFrom) {
+    columns.splice(columns.length - 1, 0,
+      { header: `Upgrade Path (from DC ${upgradePathFrom.currentDCVersion})`, key: 'upgradePath', width: 44 });
+  }
+  // What upgrading to the recommended version skips over (release-note analysis)
+  const hasReleaseNotes = results.some(r => r.releaseNotesAnalysis);
+  if (hasReleaseNotes) {
+    columns.splice(columns.length - 1, 0,
+      { header: "What You're Skipping Over", key: 'skipping', width: 48 });
+  }
+  // Vendor, support and Data Center status from the addon listing
+  const hasMarketplaceInfo = results.some(r => r.marketplaceInfo);
+  if (hasMarketplaceInfo) {
+    columns.splice(columns.length - 1, 0,
+      { header: 'Vendor', key: 'vendor', width: 24 },
+      { header: 'Supported By', key: 'supportedBy', width: 14 },
+      { header: 'DC Approved', key: 'dcApproved', width: 14 },
+      { header: 'Last Release', key: 'lastRelease', width: 14 },
+      { header: 'DC End of Support', key: 'dcEndOfSupport', width: 22 });
+  }
+  const lastCol = columnLetter(columns.length);
+  const urlColIdx = columns.findIndex(c => c.key === 'url');
+  const statusColIdx = columns.findIndex(c => c.key === 'compatible');
+
   // ==== TITLE ROW ====
-  ws.mergeCells('A1:H1');
+  ws.mergeCells(`A1:${lastCol}1`);
   const titleCell = ws.getCell('A1');
   titleCell.value = `${productLabel} Data Center — Plugin Compatibility Report`;
   titleCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${COLORS.titleBg}` } };
@@ -100,22 +182,22 @@ async function generateExcel(results, productType, targetDCVersion) {
   ws.getRow(1).height = 40;
 
   // ==== META INFO ROW ====
-  ws.mergeCells('A2:H2');
+  ws.mergeCells(`A2:${lastCol}2`);
   const metaCell = ws.getCell('A2');
   const now = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
-  metaCell.value = `Target DC Version: ${targetDCVersion}   |   Generated: ${now} IST   |   Plugins Checked: ${results.length}`;
+  const targetLabel = targets.length > 1
+    ? `Target DC Versions: ${targets.join(', ')} (main sheet: ${targetDCVersion})`
+    : `Target DC Version: ${targetDCVersion}`;
+  metaCell.value = `${targetLabel}   |   Generated: ${now} IST   |   Plugins Checked: ${results.length}`;
   metaCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${COLORS.metaBg}` } };
   metaCell.font = { size: 10, italic: true, color: { argb: 'FF1E40AF' }, name: 'Calibri' };
   metaCell.alignment = { vertical: 'middle', horizontal: 'center' };
   ws.getRow(2).height = 22;
 
   // ==== SUMMARY ROW ====
-  const compatible = results.filter(r => r.compatible === true).length;
-  const notCompatible = results.filter(r => r.compatible === false).length;
-  const errors = results.filter(r => r.error).length;
-  const needsUpgrade = results.filter(r => r.compatible === false && r.compatibleVersions && r.compatibleVersions.length > 0).length;
+  const { compatible, notCompatible, needsUpgrade, errors } = summarizeResults(results);
 
-  ws.mergeCells('A3:H3');
+  ws.mergeCells(`A3:${lastCol}3`);
   const summaryCell = ws.getCell('A3');
   summaryCell.value = `✅ Compatible: ${compatible}   ❌ Not Compatible: ${notCompatible}   ⚠️ Needs Upgrade: ${needsUpgrade}   🔴 Errors: ${errors}`;
   summaryCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFBEB' } };
@@ -127,16 +209,6 @@ async function generateExcel(results, productType, targetDCVersion) {
   ws.getRow(4).height = 8;
 
   // ==== COLUMN HEADERS ====
-  const columns = [
-    { header: '#', key: 'num', width: 5 },
-    { header: 'Plugin Name', key: 'name', width: 30 },
-    { header: 'Current Version', key: 'currentVersion', width: 16 },
-    { header: `Compatible with DC ${targetDCVersion}?`, key: 'compatible', width: 22 },
-    { header: 'Recommended Version', key: 'recommended', width: 20 },
-    { header: 'Compatible Version Range', key: 'range', width: 28 },
-    { header: 'DC Compatibility (Recommended)', key: 'dcCompat', width: 34 },
-    { header: 'Marketplace URL', key: 'url', width: 50 }
-  ];
 
   ws.columns = columns;
   const headerRow = ws.getRow(5);
@@ -193,16 +265,19 @@ async function generateExcel(results, productType, targetDCVersion) {
       { value: compatStatus, align: 'center', bold: true },
       { value: result.recommendedVersion || (result.compatible ? result.currentVersion : 'N/A'), align: 'center' },
       { value: result.compatibleVersionRange || 'N/A', align: 'center' },
-      { value: dcCompatText || 'N/A' },
-      { value: result.pluginUrl }
+      { value: dcCompatText || 'N/A' }
     ];
+    if (upgradePathFrom) cellData.push({ value: formatUpgradePath(result.upgradePath) });
+    if (hasReleaseNotes) cellData.push({ value: result.releaseNotesAnalysis ? result.releaseNotesAnalysis.summary : 'N/A' });
+    if (hasMarketplaceInfo) cellData.push(...marketplaceInfoCells(result.marketplaceInfo));
+    cellData.push({ value: result.pluginUrl });
 
     cellData.forEach((cellInfo, colIdx) => {
       const cell = row.getCell(colIdx + 1);
       cell.value = cellInfo.value;
 
       // Status column gets special color
-      if (colIdx === 3) {
+      if (colIdx === statusColIdx) {
         applyDataCell(cell, compatBg, compatFg, { align: cellInfo.align || 'center', bold: cellInfo.bold });
       } else {
         applyDataCell(cell, rowBg, colIdx === 0 ? '64748B' : '1E293B', {
@@ -212,7 +287,7 @@ async function generateExcel(results, productType, targetDCVersion) {
       }
 
       // URL as hyperlink
-      if (colIdx === 7 && result.pluginUrl) {
+      if (colIdx === urlColIdx && result.pluginUrl) {
         cell.value = { text: result.pluginUrl, hyperlink: result.pluginUrl };
         cell.font = {
           color: { argb: 'FF0C66E4' },
@@ -225,11 +300,11 @@ async function generateExcel(results, productType, targetDCVersion) {
       }
     });
 
-    row.height = 22;
+    row.height = upgradePathFrom || hasReleaseNotes ? 48 : 22;
   });
 
   // ==== DETAILS SHEET ====
-  const wsDetails = workbook.addWorksheet(`${productLabel} - Version Details`, {
+  const wsDetails = workbook.addWorksheet(`${sheetLabel} - Version Details`, {
     pageSetup: { paperSize: 9, orientation: 'landscape' }
   });
 
@@ -315,16 +390,389 @@ async function generateExcel(results, productType, targetDCVersion) {
     });
   });
 
+  // ==== VERSION MATRIX SHEET (multi-target checks only) ====
+  if (targets.length > 1) {
+    addMatrixSheet(workbook, results, productLabel, sheetLabel, targets);
+  }
+
+  // ==== CLOUD READINESS SHEET (checks that read the addon listing) ====
+  if (results.some(r => r.cloud)) {
+    addCloudReadinessSheet(workbook, results, productLabel, sheetLabel);
+  }
+
+  // ==== RELEASE NOTES SHEET (flagged releases between current and recommended) ====
+  if (hasReleaseNotes) {
+    addReleaseNotesSheet(workbook, results, productLabel, sheetLabel);
+  }
+
   // ==== FREEZE PANES ====
   ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 5, activeCell: 'A6' }];
   wsDetails.views = [{ state: 'frozen', xSplit: 0, ySplit: 2, activeCell: 'A3' }];
 
   // Auto-filter on main sheet
-  ws.autoFilter = { from: 'A5', to: 'H5' };
+  ws.autoFilter = { from: 'A5', to: `${lastCol}5` };
 
   // Generate buffer
   const buffer = await workbook.xlsx.writeBuffer();
   return buffer;
 }
 
-module.exports = { generateExcel };
+function yesNoUnknown(value) {
+  if (value === true) return '✅ Yes';
+  if (value === false) return '❌ No';
+  return '❓';
+}
+
+/** Main-sheet cells for result.marketplaceInfo: vendor, support, DC approval, last release, end of DC support */
+function marketplaceInfoCells(info) {
+  if (!info) return ['N/A', 'N/A', 'N/A', 'N/A', 'N/A'].map(value => ({ value, align: 'center' }));
+
+  const support = { atlassian: 'Atlassian', vendor: 'Vendor' }[info.supportedBy] || '❓';
+  let endOfSupport = '❓';
+  if (info.dcEndOfSupportAnnounced === true) endOfSupport = `⛔ ${info.dcEndOfSupportDate || 'Announced'}`;
+  else if (info.dcEndOfSupportAnnounced === false) endOfSupport = 'None announced';
+  return [
+    { value: info.vendorName || 'N/A' },
+    { value: support, align: 'center' },
+    { value: yesNoUnknown(info.dcApproved), align: 'center' },
+    { value: info.lastReleaseDate || 'N/A', align: 'center' },
+    { value: endOfSupport, align: 'center' }
+  ];
+}
+
+function columnLetter(num) {
+  let letters = '';
+  while (num > 0) {
+    const rem = (num - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    num = Math.floor((num - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Plugins as rows, target DC versions as columns, recommended version per cell.
+ */
+function addMatrixSheet(workbook, results, productLabel, sheetLabel, targets) {
+  const ws = workbook.addWorksheet(`${sheetLabel} - Version Matrix`, {
+    pageSetup: { paperSize: 9, orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+  const lastCol = columnLetter(targets.length + 2);
+
+  writeTitleRow(ws, `A1:${lastCol}1`, `${productLabel} Plugin — Recommended Version per Target DC Version`);
+  writeTitleRow(ws, `A2:${lastCol}2`,
+    '✅ current version works   ⬆️ upgrade to the version shown   ❌ no compatible version   ⚠️ check failed',
+    { bg: COLORS.metaBg, fg: '1E40AF', size: 10, italic: true, height: 22 });
+
+  const headers = ['Plugin Name', 'Current Version', ...targets.map(t => `DC ${t}`)];
+  ws.columns = [{ width: 30 }, { width: 16 }, ...targets.map(() => ({ width: 20 }))];
+  const headerRow = ws.getRow(3);
+  headers.forEach((h, idx) => { headerRow.getCell(idx + 1).value = h; });
+  applyHeaderRow(headerRow, headers);
+
+  results.forEach((result, idx) => {
+    const row = ws.getRow(idx + 4);
+    const rowBg = idx % 2 === 1 ? COLORS.rowAlt : COLORS.rowNormal;
+
+    const nameCell = row.getCell(1);
+    nameCell.value = result.pluginName;
+    applyDataCell(nameCell, rowBg, '1E293B', { bold: true });
+    const currentCell = row.getCell(2);
+    currentCell.value = result.currentVersion;
+    applyDataCell(currentCell, rowBg, '1E293B', { align: 'center' });
+
+    const perTarget = result.targetResults || [result];
+    targets.forEach((target, tIdx) => {
+      const tr = perTarget.find(r => r.targetDCVersion === target) || {};
+      const cell = row.getCell(tIdx + 3);
+      if (tr.error) {
+        cell.value = '⚠️ Error';
+        applyDataCell(cell, COLORS.errorBg, COLORS.errorFg, { align: 'center' });
+      } else if (tr.compatible === true) {
+        cell.value = `✅ ${tr.recommendedVersion || result.currentVersion}`;
+        applyDataCell(cell, COLORS.compatibleBg, COLORS.compatibleFg, { align: 'center', bold: true });
+      } else if (tr.recommendedVersion) {
+        cell.value = `⬆️ ${tr.recommendedVersion}`;
+        applyDataCell(cell, COLORS.errorBg, COLORS.errorFg, { align: 'center', bold: true });
+      } else {
+        cell.value = '❌ None';
+        applyDataCell(cell, COLORS.notCompatibleBg, COLORS.notCompatibleFg, { align: 'center' });
+      }
+    });
+    row.height = 22;
+  });
+
+  ws.views = [{ state: 'frozen', xSplit: 2, ySplit: 3, activeCell: 'C4' }];
+}
+
+const CLOUD_GROUPS = [
+  { category: 'migration-tooling',  title: '🚀 Migration tooling available', bg: COLORS.compatibleBg, fg: COLORS.compatibleFg },
+  { category: 'cloud-no-migration', title: '☁️ Cloud app without automated migration', bg: COLORS.errorBg, fg: COLORS.errorFg },
+  { category: 'no-cloud',           title: '⛔ No Cloud version', bg: COLORS.notCompatibleBg, fg: COLORS.notCompatibleFg },
+  { category: 'unknown',            title: '❓ Cloud listing could not be read', bg: 'F1F5F9', fg: '475569' }
+];
+
+/**
+ * Plugins grouped by Cloud migration readiness (result.cloud.category).
+ */
+function addCloudReadinessSheet(workbook, results, productLabel, sheetLabel) {
+  const ws = workbook.addWorksheet(`${sheetLabel} - Cloud Readiness`, {
+    pageSetup: { paperSize: 9, orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+  const headers = ['Plugin Name', 'Current Version', 'Cloud App', 'Migration Path', 'Migration Assistant', 'Cloud Listing / Docs'];
+  const lastCol = columnLetter(headers.length);
+
+  const grouped = CLOUD_GROUPS.map(group => ({
+    ...group,
+    items: results.filter(r => ((r.cloud && r.cloud.category) || 'unknown') === group.category)
+  }));
+
+  writeTitleRow(ws, `A1:${lastCol}1`, `${productLabel} Plugin — Cloud Migration Readiness`);
+  writeTitleRow(ws, `A2:${lastCol}2`,
+    grouped.map(g => `${g.title}: ${g.items.length}`).join('   '),
+    { bg: COLORS.metaBg, fg: '1E40AF', size: 10, italic: true, height: 22 });
+
+  ws.columns = [{ width: 30 }, { width: 16 }, { width: 14 }, { width: 20 }, { width: 22 }, { width: 60 }];
+  const headerRow = ws.getRow(3);
+  headers.forEach((h, idx) => { headerRow.getCell(idx + 1).value = h; });
+  applyHeaderRow(headerRow, headers);
+
+  let rowNum = 4;
+  grouped.forEach(group => {
+    if (!group.items.length) return;
+
+    ws.mergeCells(`A${rowNum}:${lastCol}${rowNum}`);
+    const sectionCell = ws.getCell(`A${rowNum}`);
+    sectionCell.value = `  ${group.title} — ${group.items.length} app(s)`;
+    sectionCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${group.bg}` } };
+    sectionCell.font = { bold: true, size: 11, color: { argb: `FF${group.fg}` }, name: 'Calibri' };
+    sectionCell.alignment = { vertical: 'middle' };
+    ws.getRow(rowNum).height = 24;
+    rowNum++;
+
+    group.items.forEach((result, idx) => {
+      const cloud = result.cloud || {};
+      const row = ws.getRow(rowNum++);
+      const rowBg = idx % 2 === 1 ? COLORS.rowAlt : COLORS.rowNormal;
+      const links = [cloud.cloudListingUrl, cloud.migrationDocUrl, cloud.featureDiffUrl].filter(Boolean);
+      const cloudApp = cloud.cloudAvailable === true ? '✅ Yes' : (cloud.cloudAvailable === false ? '❌ No' : '❓');
+
+      const vals = [
+        result.pluginName,
+        result.currentVersion,
+        cloudApp,
+        cloud.migrationPath || 'N/A',
+        cloud.migrationAssistant || 'N/A',
+        links.length ? links.join('\n') : (cloud.error || '')
+      ];
+      vals.forEach((val, colIdx) => {
+        const cell = row.getCell(colIdx + 1);
+        cell.value = val;
+        applyDataCell(cell, rowBg, '1E293B', { bold: colIdx === 0, align: [1, 2].includes(colIdx) ? 'center' : 'left' });
+      });
+      row.height = links.length > 1 ? 20 * links.length : 20;
+    });
+  });
+
+  ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 3, activeCell: 'A4' }];
+}
+
+const RELEASE_NOTE_STYLES = {
+  security:  { bg: COLORS.notCompatibleBg, fg: COLORS.notCompatibleFg },
+  breaking:  { bg: COLORS.notCompatibleBg, fg: COLORS.notCompatibleFg },
+  removed:   { bg: COLORS.errorBg, fg: COLORS.errorFg },
+  migration: { bg: COLORS.errorBg, fg: COLORS.errorFg }
+};
+
+/**
+ * Every flagged release between each plugin's current and recommended version
+ * (result.releaseNotesAnalysis), grouped by plugin.
+ */
+function addReleaseNotesSheet(workbook, results, productLabel, sheetLabel) {
+  const ws = workbook.addWorksheet(`${sheetLabel} - Release Notes`, {
+    pageSetup: { paperSize: 9, orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+  const headers = ['Plugin Name', 'Release', 'Release Date', 'Flag', 'From the Release Notes'];
+  const lastCol = columnLetter(headers.length);
+  const analyzed = results.filter(r => r.releaseNotesAnalysis);
+  const flagged = analyzed.filter(r => r.releaseNotesAnalysis.findings.length);
+
+  writeTitleRow(ws, `A1:${lastCol}1`, `${productLabel} Plugin — What You're Skipping Over`);
+  writeTitleRow(ws, `A2:${lastCol}2`,
+    `Upgrades analyzed: ${analyzed.length}   Upgrades with flagged releases: ${flagged.length}`,
+    { bg: COLORS.metaBg, fg: '1E40AF', size: 10, italic: true, height: 22 });
+
+  ws.columns = [{ width: 30 }, { width: 14 }, { width: 16 }, { width: 18 }, { width: 80 }];
+  const headerRow = ws.getRow(3);
+  headers.forEach((h, idx) => { headerRow.getCell(idx + 1).value = h; });
+  applyHeaderRow(headerRow, headers);
+
+  let rowNum = 4;
+  analyzed.forEach(result => {
+    const analysis = result.releaseNotesAnalysis;
+    ws.mergeCells(`A${rowNum}:${lastCol}${rowNum}`);
+    const sectionCell = ws.getCell(`A${rowNum}`);
+    sectionCell.value = `  📦 ${result.pluginName} — ${analysis.summary}`;
+    sectionCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${COLORS.sectionBg}` } };
+    sectionCell.font = { bold: true, size: 11, color: { argb: `FF${COLORS.sectionFg}` }, name: 'Calibri' };
+    sectionCell.alignment = { vertical: 'middle', wrapText: true };
+    ws.getRow(rowNum).height = 24;
+    rowNum++;
+
+    analysis.findings.forEach((finding, idx) => {
+      const row = ws.getRow(rowNum++);
+      const rowBg = idx % 2 === 1 ? COLORS.rowAlt : COLORS.rowNormal;
+      const style = RELEASE_NOTE_STYLES[finding.category] || { bg: 'F1F5F9', fg: '475569' };
+      [result.pluginName, finding.version, finding.releaseDate || '', finding.label, finding.excerpt].forEach((val, colIdx) => {
+        const cell = row.getCell(colIdx + 1);
+        cell.value = val;
+        if (colIdx === 3) applyDataCell(cell, style.bg, style.fg, { bold: true, align: 'center' });
+        else applyDataCell(cell, rowBg, '1E293B', { bold: colIdx === 0, align: [1, 2].includes(colIdx) ? 'center' : 'left' });
+      });
+      row.height = 30;
+    });
+  });
+
+  ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 3, activeCell: 'A4' }];
+}
+
+/**
+ * Generate a workbook comparing two compatibility runs.
+ * @param {Object} diff - Output of diffRuns()
+ * @param {string} productType - Product registry key, e.g. 'jira' or 'jsm'
+ * @returns {Buffer} Excel file as buffer
+ */
+async function generateDiffExcel(diff, productType) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Atlassian Compatibility Checker';
+  workbook.created = new Date();
+
+  const productLabel = labelFor(productType);
+  const ws = workbook.addWorksheet('Run Comparison', {
+    pageSetup: { paperSize: 9, orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 }
+  });
+
+  const fmtDate = d => d ? new Date(d).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : '?';
+
+  writeTitleRow(ws, 'A1:J1', `${productLabel} — Compatibility Run Comparison`, { size: 16, height: 40 });
+  writeTitleRow(ws, 'A2:J2',
+    `Before: DC ${diff.base.targetDCVersion} (${fmtDate(diff.base.startedAt)})   →   ` +
+    `After: DC ${diff.head.targetDCVersion} (${fmtDate(diff.head.startedAt)})`,
+    { bg: COLORS.metaBg, fg: '1E40AF', size: 10, italic: true, height: 22 });
+
+  const s = diff.summary;
+  writeTitleRow(ws, 'A3:J3',
+    `🟢 Became Compatible: ${s.becameCompatible}   🔴 Became Not Compatible: ${s.becameNotCompatible}   ` +
+    `⬆️ Recommended Changed: ${s.recommendedChanged}   🆕 New Compatible Releases: ${s.newCompatibleReleases}   ` +
+    `➕ Added: ${s.added}   ➖ Removed: ${s.removed}`,
+    { bg: 'FFFBEB', fg: '1E293B', size: 11, height: 24 });
+  ws.getRow(4).height = 8;
+
+  const columns = [
+    { header: 'Plugin Name', width: 30 },
+    { header: 'Change', width: 14 },
+    { header: 'Status Before', width: 18 },
+    { header: 'Status After', width: 18 },
+    { header: 'Current Version Before', width: 18 },
+    { header: 'Current Version After', width: 18 },
+    { header: 'Recommended Before', width: 18 },
+    { header: 'Recommended After', width: 18 },
+    { header: 'New Compatible Versions', width: 34 },
+    { header: 'Marketplace URL', width: 50 }
+  ];
+  ws.columns = columns.map(c => ({ width: c.width }));
+  const headerRow = ws.getRow(5);
+  columns.forEach((col, idx) => { headerRow.getCell(idx + 1).value = col.header; });
+  applyHeaderRow(headerRow, columns);
+
+  const statusLabel = {
+    'compatible':     '✅ Compatible',
+    'not-compatible': '❌ Not Compatible',
+    'error':          '⚠️ Error',
+    'unknown':        '❓ Unknown'
+  };
+  const changeLabel = { added: '➕ Added', removed: '➖ Removed', changed: '✏️ Changed', unchanged: 'Unchanged' };
+
+  diff.plugins.forEach((p, idx) => {
+    const row = ws.getRow(idx + 6);
+    const isAlt = idx % 2 === 1;
+
+    let rowBg = isAlt ? COLORS.rowAlt : COLORS.rowNormal;
+    let rowFg = '1E293B';
+    if (p.compatibilityFlipped && p.statusAfter === 'compatible') {
+      rowBg = COLORS.compatibleBg; rowFg = COLORS.compatibleFg;
+    } else if (p.compatibilityFlipped && p.statusAfter === 'not-compatible') {
+      rowBg = COLORS.notCompatibleBg; rowFg = COLORS.notCompatibleFg;
+    } else if (p.change === 'added' || p.change === 'removed') {
+      rowBg = COLORS.sectionBg; rowFg = COLORS.sectionFg;
+    } else if (p.change === 'changed') {
+      rowBg = COLORS.errorBg; rowFg = COLORS.errorFg;
+    }
+
+    const vals = [
+      p.pluginName,
+      changeLabel[p.change],
+      statusLabel[p.statusBefore] || '—',
+      statusLabel[p.statusAfter] || '—',
+      p.currentVersionBefore || '—',
+      p.currentVersionAfter || '—',
+      p.recommendedBefore || 'N/A',
+      p.recommendedAfter || 'N/A',
+      p.newCompatibleVersions.join(', ') || '—',
+      p.pluginUrl || ''
+    ];
+    vals.forEach((val, colIdx) => {
+      const cell = row.getCell(colIdx + 1);
+      cell.value = val;
+      applyDataCell(cell, rowBg, rowFg, {
+        bold: colIdx === 0 || (colIdx === 7 && p.recommendedChanged),
+        align: colIdx === 0 || colIdx >= 8 ? 'left' : 'center'
+      });
+    });
+    row.height = 22;
+  });
+
+  ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 5, activeCell: 'A6' }];
+  ws.autoFilter = { from: 'A5', to: 'J5' };
+
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Generate a plain inventory workbook. The header stays on row 1 so the file
+ * can be re-imported through /api/plugins/import/file.
+ * @param {Array} rows - Output of buildExportRows()
+ * @param {Array} columns - { header, key, width }
+ * @param {string} productType - Product registry key, e.g. 'jira' or 'jsm'
+ * @returns {Buffer} Excel file as buffer
+ */
+async function generateInventoryExcel(rows, columns, productType) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Atlassian Compatibility Checker';
+  workbook.created = new Date();
+
+  const ws = workbook.addWorksheet(`${productShortLabel(productType)} Inventory`);
+  ws.columns = columns.map(c => ({ key: c.key, width: c.width }));
+
+  const headerRow = ws.getRow(1);
+  columns.forEach((col, idx) => { headerRow.getCell(idx + 1).value = col.header; });
+  applyHeaderRow(headerRow, columns);
+
+  rows.forEach((data, idx) => {
+    const row = ws.getRow(idx + 2);
+    const rowBg = idx % 2 === 1 ? COLORS.rowAlt : COLORS.rowNormal;
+    columns.forEach((col, colIdx) => {
+      const cell = row.getCell(colIdx + 1);
+      // Versions are written as text so "1.10" is not turned into 1.1
+      cell.value = data[col.key] === undefined || data[col.key] === null ? '' : String(data[col.key]);
+      applyDataCell(cell, rowBg, '1E293B', { bold: col.key === 'name' });
+    });
+  });
+
+  ws.views = [{ state: 'frozen', xSplit: 0, ySplit: 1, activeCell: 'A2' }];
+  ws.autoFilter = { from: 'A1', to: `${columnLetter(columns.length)}1` };
+
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = { generateExcel, generateDiffExcel, generateInventoryExcel, summarizeResults };
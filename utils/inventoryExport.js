@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Inventory Export
+ * ================
+ *
+ * Column headers match the import aliases in inventoryImport.js, so an
+ * exported CSV/xlsx can be fed straight back into /api/plugins/import/file
+ * and the JSON `plugins` array into /api/plugins/bulk.
+ */
+
+const { describeStatus } = require('./runDiff');
+
+const EXPORT_COLUMNS = [
+  { header: 'Name',                     key: 'name',               width: 30 },
+  { header: 'Marketplace URL',          key: 'marketplaceUrl',     width: 50 },
+  { header: 'Current Version',          key: 'currentVersion',     width: 16 },
+  { header: 'Notes',                    key: 'notes',              width: 30 },
+  { header: 'App Key',                  key: 'appKey',             width: 30 },
+  { header: 'Created At',               key: 'createdAt',          width: 22 },
+  { header: 'Updated At',               key: 'updatedAt',          width: 22 },
+  { header: 'Last Check Status',        key: 'lastCheckStatus',    width: 18 },
+  { header: 'Last Checked At',          key: 'lastCheckedAt',      width: 22 },
+  { header: 'Last Check Target DC',     key: 'lastCheckTarget',    width: 18 },
+  { header: 'Last Recommended Version', key: 'lastRecommended',    width: 22 }
+];
+
+/**
+ * Latest check outcome per plugin ID, taken from runs sorted newest first.
+ * Run results are in the same order as the run's plugin snapshot.
+ */
+function latestStatusByPlugin(runs) {
+  const latest = new Map();
+  for (const run of runs) {
+    (run.plugins || []).forEach((p, idx) => {
+      const id = p.pluginId && String(p.pluginId);
+      const result = (run.results || [])[idx];
+      if (!id || !result || latest.has(id)) return;
+      latest.set(id, {
+        status:             describeStatus(result),
+        checkedAt:          run.completedAt || run.startedAt,
+        targetDCVersion:    run.targetDCVersion,
+        recommendedVersion: result.recommendedVersion || null
+      });
+    });
+  }
+  return latest;
+}
+
+/**
+ * @param {Object[]} plugins - Plugin documents
+ * @param {Object[]} runs - Completed CheckRun documents, newest first
+ * @returns {Object[]} flat, serialisable rows
+ */
+function buildExportRows(plugins, runs) {
+  const latest = latestStatusByPlugin(runs);
+  return plugins.map(p => {
+    const check = latest.get(String(p._id)) || {};
+    return {
+      type:            p.type,
+      name:            p.name,
+      marketplaceUrl:  p.marketplaceUrl,
+      currentVersion:  p.currentVersion,
+      notes:           p.notes || '',
+      appKey:          p.appKey || '',
+      createdAt:       p.createdAt ? new Date(p.createdAt).toISOString() : '',
+      updatedAt:       p.updatedAt ? new Date(p.updatedAt).toISOString() : '',
+      lastCheckStatus: check.status || 'never-checked',
+      lastCheckedAt:   check.checkedAt ? new Date(check.checkedAt).toISOString() : '',
+      lastCheckTarget: check.targetDCVersion || '',
+      lastRecommended: check.recommendedVersion || ''
+    };
+  });
+}
+
+function csvEscape(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** @param {Object[]} [columns] - { header, key } list; defaults to the inventory columns */
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [columns.map(c => csvEscape(c.header)).join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvEscape(row[c.key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { EXPORT_COLUMNS, buildExportRows, toCsv };
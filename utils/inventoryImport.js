@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * Inventory Import (xlsx / CSV / JSON rows)
+ * =========================================
+ *
+ * Every import path funnels into validateInventoryRows() so each row is
+ * checked before anything is written, and the caller gets a per-row report
+ * instead of a half-finished insertMany.
+ */
+
+const ExcelJS = require('exceljs');
+const { extractAddonIdentifiers } = require('./scraper');
+const { PRODUCT_TYPES } = require('./products');
+
+/** Header aliases (lower-cased) recognised when no explicit mapping is given */
+const COLUMN_ALIASES = {
+  name:           ['name', 'plugin name', 'plugin', 'app name', 'app', 'add-on', 'addon'],
+  marketplaceUrl: ['marketplace url', 'marketplaceurl', 'url', 'marketplace link', 'link'],
+  currentVersion: ['current version', 'currentversion', 'version', 'installed version'],
+  notes:          ['notes', 'note', 'comments', 'comment'],
+  appKey:         ['app key', 'appkey', 'plugin key', 'add-on key']
+};
+
+const FIELDS = Object.keys(COLUMN_ALIASES);
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  PARSERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** RFC 4180 CSV: quoted fields, escaped quotes, CRLF/LF, embedded newlines */
+function parseCsv(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+/** Spreadsheet tools in some locales export ';'-separated CSV */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+}
+
+function cellToValue(value) {
+  if (value === null || value === undefined) return { text: '' };
+  if (typeof value === 'number') return { text: String(value), numeric: true };
+  if (value instanceof Date) return { text: value.toISOString().slice(0, 10) };
+  if (typeof value === 'object') {
+    if (value.hyperlink) return { text: value.hyperlink };
+    if (value.text !== undefined) return cellToValue(value.text);
+    if (Array.isArray(value.richText)) return { text: value.richText.map(r => r.text).join('') };
+    if (value.result !== undefined) return cellToValue(value.result);
+  }
+  return { text: String(value) };
+}
+
+/** First worksheet → array of rows; numeric cells are flagged so versions can be checked */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (_) {
+    throw new Error('File is not a readable .xlsx workbook');
+  }
+  const ws = workbook.worksheets[0];
+  if (!ws) throw new Error('Workbook has no worksheets');
+
+  const rows = [];
+  ws.eachRow({ includeEmpty: false }, row => {
+    const cells = [];
+    for (let c = 1; c <= row.cellCount; c++) cells.push(cellToValue(row.getCell(c).value));
+    cells.rowNumber = row.number;
+    if (cells.some(v => v.text.trim() !== '')) rows.push(cells);
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded file into plain row objects keyed by field name.
+ * @param {Buffer} buffer
+ * @param {string} format - 'xlsx' | 'csv'
+ * @param {Object} [mapping] - field → header text, e.g. { name: 'App', marketplaceUrl: 'Link' }
+ * @returns {Promise<{ rows: Object[], columns: Object }>} rows carry their 1-based sheet row number
+ */
+async function parseInventoryFile(buffer, format, mapping = {}) {
+  let table;
+  if (format === 'xlsx') {
+    table = await parseXlsx(buffer);
+  } else if (format === 'csv') {
+    table = parseCsv(buffer.toString('utf8')).map(r => r.map(text => ({ text })));
+  } else {
+    throw new Error('Unsupported format. Use "xlsx" or "csv".');
+  }
+  if (!table.length) throw new Error('File is empty');
+
+  const headers = table[0].map(c => c.text.trim());
+  const columns = resolveColumns(headers, mapping);
+  const missing = ['name', 'marketplaceUrl', 'currentVersion'].filter(f => columns[f] === undefined);
+  if (missing.length) {
+    throw new Error(`Could not find column(s) for: ${missing.join(', ')}. Found headers: ${headers.join(', ')}`);
+  }
+
+  const rows = table.slice(1).map((cells, idx) => {
+    const row = { rowNumber: cells.rowNumber || idx + 2, numericFields: [] };
+    for (const field of FIELDS) {
+      if (columns[field] === undefined) continue;
+      const cell = cells[columns[field]] || { text: '' };
+      row[field] = cell.text.trim();
+      if (cell.numeric) row.numericFields.push(field);
+    }
+    return row;
+  });
+  return { rows, columns: Object.fromEntries(FIELDS.filter(f => columns[f] !== undefined).map(f => [f, headers[columns[f]]])) };
+}
+
+function resolveColumns(headers, mapping) {
+  const lower = headers.map(h => h.toLowerCase());
+  const columns = {};
+  for (const field of FIELDS) {
+    const wanted = mapping[field]
+      ? [String(mapping[field]).trim().toLowerCase()]
+      : COLUMN_ALIASES[field];
+    const idx = lower.findIndex(h => wanted.includes(h));
+    if (idx >= 0) columns[field] = idx;
+  }
+  return columns;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate inventory rows against each other and the existing inventory.
+ * @param {Object[]} rows - { name, marketplaceUrl, currentVersion, notes, type?, rowNumber? }
+ * @param {string} [type] - Product type for rows that don't name one
+ * @param {Object[]} [existing] - Plugin documents already stored
+ * @returns {{ valid: Object[], rows: Object[], summary: Object }}
+ */
+function validateInventoryRows(rows, type, existing = []) {
+  const addonKey = (t, url) => {
+    const { id } = extractAddonIdentifiers(url);
+    return id ? `${t}:${id}` : null;
+  };
+  const existingIds = new Set(existing.map(p => addonKey(p.type, p.marketplaceUrl)).filter(Boolean));
+  const seenIds = new Map();
+
+  const report = rows.map((raw, idx) => {
+    const rowNumber = raw.rowNumber || idx + 1;
+    const data = {
+      type:           String(raw.type || type || '').trim().toLowerCase(),
+      name:           String(raw.name || '').trim(),
+      marketplaceUrl: String(raw.marketplaceUrl || '').trim(),
+      currentVersion: String(raw.currentVersion || '').trim(),
+      notes:          raw.notes ? String(raw.notes).trim() : undefined
+    };
+    if (raw.appKey) data.appKey = String(raw.appKey).trim();
+    const errors = [];
+    const warnings = [];
+
+    if (!PRODUCT_TYPES.includes(data.type)) errors.push(`Type must be one of: ${PRODUCT_TYPES.join(', ')}`);
+    if (!data.name) errors.push('Name is required');
+    if (!data.currentVersion) errors.push('Current version is required');
+    if (!data.marketplaceUrl) {
+      errors.push('Marketplace URL is required');
+    } else {
+      const id = addonKey(data.type, data.marketplaceUrl);
+      if (!id) {
+        errors.push('Marketplace URL must look like https://marketplace.atlassian.com/apps/<id>/<slug>');
+      } else if (existingIds.has(id)) {
+        errors.push('Plugin is already in the inventory');
+      } else if (seenIds.has(id)) {
+        errors.push(`Duplicate of row ${seenIds.get(id)}`);
+      } else {
+        seenIds.set(id, rowNumber);
+      }
+    }
+    if ((raw.numericFields || []).includes('currentVersion')) {
+      warnings.push('Version cell is formatted as a number; trailing zeros (e.g. "1.10") may have been lost');
+    }
+
+    return { rowNumber, status: errors.length ? 'invalid' : 'valid', errors, warnings, data };
+  });
+
+  const valid = report.filter(r => r.status === 'valid').map(r => r.data);
+  return {
+    valid,
+    rows: report,
+    summary: { total: report.length, valid: valid.length, invalid: report.length - valid.length }
+  };
+}
+
+/** Pick xlsx / csv from an explicit format, file name or the bytes themselves */
+function detectFormat(buffer, hint) {
+  const h = String(hint || '').toLowerCase();
+  if (h === 'xlsx' || h.endsWith('.xlsx') || h.includes('spreadsheetml')) return 'xlsx';
+  if (h === 'csv' || h.endsWith('.csv') || h.includes('text/csv')) return 'csv';
+  // .xlsx is a zip archive: "PK"
+  if (buffer && buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b) return 'xlsx';
+  return 'csv';
+}
+
+module.exports = {
+  parseCsv,
+  parseInventoryFile,
+  validateInventoryRows,
+  detectFormat
+};
@@ -0,0 +1,448 @@
+'use strict';
+
+/**
+ * Marketplace payload parsers
+ * ===========================
+ *
+ * Turn the raw bodies the Marketplace serves (version-history HTML with its
+ * initial-state JSON, and /rest/2 version pages) into version entries, and
+ * the /rest/2/addons/{key} listing into Cloud readiness and vendor / support
+ * metadata.
+ * Kept free of network code so live and recorded payloads share one path.
+ *
+ * `options.applicationKeys` (from the product registry) selects which
+ * product's compatibility entry is read when an app lists several.
+ */
+
+const { compareVersions } = require('./versionEngine');
+
+const REST_PAGE_LIMIT = 50;
+
+/** The <script id="initial-state"> JSON of a version-history page */
+function readInitialState(html) {
+  // Improved regex to capture content more robustly
+  const scriptMatch = String(html || '').match(/<script[^>]+id=["']initial-state["'][^>]*>([\s\S]*?)<\/script>/i);
+  if (!scriptMatch) throw new Error('initial-state script tag not found');
+
+  try {
+    return JSON.parse(scriptMatch[1]);
+  } catch (_) {
+    // Sometimes content is HTML-encoded
+    try {
+        const decoded = scriptMatch[1].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+        return JSON.parse(decoded);
+    } catch (e2) {
+        throw new Error('initial-state JSON parse failed');
+    }
+  }
+}
+
+function parseInitialStateHtml(html, options = {}) {
+  const stateJson = readInitialState(html);
+
+  const versions = [];
+  walkInitialState(stateJson, versions, options);
+
+  if (!versions.length) throw new Error('No version data found in initial-state');
+  return versions;
+}
+
+function walkInitialState(node, collected, options, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 15) return;
+  if (Array.isArray(node)) {
+    for (const item of node) walkInitialState(item, collected, options, depth + 1);
+    return;
+  }
+  
+  // Look for version string
+  const versionStr = node.name || node.version || '';
+  if (versionStr && /^\d+\.\d+/.test(String(versionStr)) && String(versionStr).length < 25) {
+    const entry = extractVersionFromStateNode(node, versionStr, options);
+    if (entry) { collected.push(entry); return; }
+  }
+
+  for (const key of Object.keys(node)) {
+    walkInitialState(node[key], collected, options, depth + 1);
+  }
+}
+
+/** Addon node of an initial-state tree: the object carrying the vendor next to the app key */
+function findStateListing(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 15) return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findStateListing(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  const hasVendor = node.vendor || (node._embedded && node._embedded.vendor);
+  if (hasVendor && (node.key || node.appKey || node.addonKey)) return node;
+
+  for (const key of Object.keys(node)) {
+    const found = findStateListing(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** Addon listing embedded in a version-history page, or null when the page has none */
+function parseInitialStateListing(html) {
+  try {
+    return findStateListing(readInitialState(html));
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Marketplace application key of a compatibility entry, lower-cased ('' if absent) */
+function compatibilityApplication(c) {
+  const app = c.application || c.applicationKey || c.product ||
+              (c._embedded && c._embedded.application && c._embedded.application.key) || '';
+  return String(typeof app === 'object' ? (app.key || app.name || '') : app).toLowerCase();
+}
+
+/** Bound value that may be a plain string or a { version, build } object */
+function boundVersion(b) {
+  if (!b) return '';
+  return String(typeof b === 'object' ? (b.version || b.name || '') : b);
+}
+
+/**
+ * DC entries of a version's compatibility list as { application, min, max }.
+ * Handles string hosting ("datacenter") and object hosting ({ dataCenter: { min, max } }).
+ */
+function dcCompatibilities(candidates) {
+  const entries = [];
+  for (const c of candidates) {
+    if (!c || typeof c !== 'object') continue;
+    const application = compatibilityApplication(c);
+
+    if (c.hosting && typeof c.hosting === 'object') {
+      const dc = c.hosting.dataCenter || c.hosting.datacenter || c.hosting.data_center;
+      if (dc) entries.push({ application, min: boundVersion(dc.min), max: boundVersion(dc.max) });
+      continue;
+    }
+
+    const h = String(c.hosting || c.type || '').toLowerCase();
+    if (!(h.includes('datacenter') || h.includes('data_center') || h === 'server_and_dc')) continue;
+    const cvEmb = (c._embedded && c._embedded.compatibleVersions) || {};
+    entries.push({
+      application,
+      min: boundVersion(c.min || c.minVersion || cvEmb.min),
+      max: boundVersion(c.max || c.maxVersion || cvEmb.max)
+    });
+  }
+  return entries.filter(e => e.min && e.max);
+}
+
+/**
+ * Build a version entry from a Marketplace version node.
+ *
+ * With `options.applicationKeys`, only entries for that product are used.
+ * Entries naming the product win; entries without an application key are a
+ * fallback and mark the version `productConfirmed: false`. Several matching
+ * entries are all kept in `compatibilities`, one range each, and listed as
+ * separate clauses in `compatibility`; minVersion / maxVersion span them for
+ * display only.
+ */
+function extractVersionFromStateNode(node, versionStr, options = {}) {
+  const candidates = [];
+  const emb = node._embedded || {};
+  if (Array.isArray(emb.compatibilities)) candidates.push(...emb.compatibilities);
+  if (Array.isArray(node.compatibility))  candidates.push(...node.compatibility);
+  if (Array.isArray(node.compatibilities)) candidates.push(...node.compatibilities);
+
+  const dcEntries = dcCompatibilities(candidates);
+  const appKeys = options.applicationKeys;
+
+  let chosen = dcEntries.slice(0, 1);
+  let productConfirmed = null;
+  if (appKeys && appKeys.length) {
+    const explicit = dcEntries.filter(e => e.application && appKeys.includes(e.application));
+    chosen = explicit.length ? explicit : dcEntries.filter(e => !e.application);
+    productConfirmed = explicit.length > 0;
+  }
+  if (!chosen.length) return null;
+
+  let min = chosen[0].min;
+  let max = chosen[0].max;
+  for (const e of chosen.slice(1)) {
+    if (compareVersions(e.min, min) < 0) min = e.min;
+    if (compareVersions(e.max, max) > 0) max = e.max;
+  }
+
+  const entry = {
+    version:        String(versionStr),
+    compatibility:  chosen.map(e => `${e.min} - ${e.max}`).join(', '),
+    releaseDate:    node.releaseDate || (node.release && node.release.date) || '',
+    releaseSummary: (node.release && node.release.notes) || node.releaseSummary || (node.text && node.text.releaseSummary) || '',
+    // Full notes (HTML) where the payload has them; read by utils/releaseNotes.js
+    releaseNotes:   (node.text && node.text.releaseNotes) || node.releaseNotes || '',
+    minVersion:     min,
+    maxVersion:     max
+  };
+  if (productConfirmed !== null) {
+    entry.productConfirmed = productConfirmed;
+    entry.applications = [...new Set(chosen.map(e => e.application).filter(Boolean))];
+  }
+  if (chosen.length > 1) {
+    entry.compatibilities = chosen.map(e => ({ application: e.application || null, minVersion: e.min, maxVersion: e.max }));
+  }
+  return entry;
+}
+
+/** One /rest/2/addons/{key}/versions page → { entries, itemCount } */
+function parseVersionsPage(body, options = {}) {
+  const data = typeof body === 'string' ? JSON.parse(body) : body;
+
+  let items = [];
+  if (Array.isArray(data._embedded && data._embedded.versions)) items = data._embedded.versions;
+  else if (Array.isArray(data.versions)) items = data.versions;
+
+  const entries = [];
+  for (const v of items) {
+    const entry = extractVersionFromStateNode(v, v.name || v.version || '', options);
+    if (entry) entries.push(entry);
+  }
+  return { entries, itemCount: items.length };
+}
+
+/**
+ * Walk REST version pages until a short or empty page.
+ * @param {Function} loadPage - async (offset, limit) → page body, or null when there is no such page
+ * @param {Object} [options] - Passed to parseVersionsPage()
+ */
+async function paginateVersions(loadPage, options = {}) {
+  const allVersions = [];
+  let offset = 0;
+
+  do {
+    const body = await loadPage(offset, REST_PAGE_LIMIT);
+    if (body === null || body === undefined) break;
+    const { entries, itemCount } = parseVersionsPage(body, options);
+    if (!itemCount) break;
+    allVersions.push(...entries);
+
+    offset += REST_PAGE_LIMIT;
+    if (itemCount < REST_PAGE_LIMIT) break; // End of list
+  } while (true);
+
+  return allVersions;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  CLOUD READINESS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const CLOUD_CATEGORIES = {
+  MIGRATION_TOOLING: 'migration-tooling',   // Cloud app + automated migration path
+  CLOUD_NO_MIGRATION: 'cloud-no-migration', // Cloud app, data has to be moved by hand
+  NO_CLOUD: 'no-cloud',
+  UNKNOWN: 'unknown'                        // Listing could not be read
+};
+
+function linkHref(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return value.href || value.url || null;
+}
+
+function hasCloudHosting(addon) {
+  const deployments = [
+    addon.deployment,
+    addon._embedded && addon._embedded.version && addon._embedded.version.deployment
+  ].filter(Boolean);
+  if (deployments.some(d => d.cloud === true)) return true;
+
+  const hosting = addon.hosting || addon.hostingOptions;
+  if (Array.isArray(hosting)) return hosting.some(h => /cloud/i.test(typeof h === 'object' ? h.type || h.hosting : h));
+  if (hosting && typeof hosting === 'object') return !!hosting.cloud;
+  return false;
+}
+
+/** Marketplace values such as COMPATIBLE / AUTOMATED / YES count as tooling; NOT_… / NONE do not */
+function isPositiveFlag(value) {
+  if (value === true) return true;
+  const text = String(value || '').toLowerCase();
+  if (!text || /not|none|no\b|unavailable|incompatible|unknown/.test(text)) return false;
+  return /compatible|automated|available|yes|supported|true/.test(text);
+}
+
+/**
+ * Cloud hosting and migration-path metadata from a /rest/2/addons/{key} body.
+ * @returns {{ category: string, cloudAvailable: boolean, migrationPath: string|null,
+ *             migrationAssistant: string|null, cloudAppKey: string|null,
+ *             cloudListingUrl: string|null, migrationDocUrl: string|null, featureDiffUrl: string|null }}
+ */
+function parseCloudReadiness(body) {
+  const addon = typeof body === 'string' ? JSON.parse(body) : (body || {});
+  const migration = addon.migration || addon.cloudMigration ||
+                    (addon._embedded && addon._embedded.migration) || {};
+  const links = addon._links || {};
+
+  const migrationAssistant = migration.cloudMigrationAssistantCompatibility || migration.migrationAssistant || null;
+  const migrationPath = migration.migrationPath || migration.path || null;
+  const cloudAppKey = migration.cloudAddonKey || migration.cloudAppKey || addon.cloudAddonKey || null;
+  const cloudAvailable = hasCloudHosting(addon) || !!cloudAppKey;
+
+  let category = CLOUD_CATEGORIES.NO_CLOUD;
+  if (cloudAvailable) {
+    category = isPositiveFlag(migrationAssistant) || isPositiveFlag(migrationPath)
+      ? CLOUD_CATEGORIES.MIGRATION_TOOLING
+      : CLOUD_CATEGORIES.CLOUD_NO_MIGRATION;
+  }
+
+  return {
+    category,
+    cloudAvailable,
+    migrationPath:      migrationPath ? String(migrationPath) : null,
+    migrationAssistant: migrationAssistant ? String(migrationAssistant) : null,
+    cloudAppKey,
+    cloudListingUrl:    linkHref(links.cloud) || linkHref(migration.cloudListing) || null,
+    migrationDocUrl:    linkHref(migration.migrationDocumentation) || linkHref(links.migrationDocumentation),
+    featureDiffUrl:     linkHref(migration.featureDifferenceDocumentation) || linkHref(links.featureDifferences)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  VENDOR / SUPPORT METADATA
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SUPPORT_TYPES = {
+  ATLASSIAN: 'atlassian',
+  VENDOR: 'vendor'
+};
+
+/** First value that is neither undefined nor null */
+function firstDefined(...values) {
+  return values.find(v => v !== undefined && v !== null);
+}
+
+/** true / false from booleans and Marketplace status strings; null when unknown */
+function statusFlag(value) {
+  if (value === true || value === false) return value;
+  if (value && typeof value === 'object') return statusFlag(firstDefined(value.approved, value.status, value.value));
+  const text = String(value || '').toLowerCase();
+  if (!text) return null;
+  if (/not|none|no\b|rejected|revoked|expired|false/.test(text)) return false;
+  return /approved|yes|true|active|participant/.test(text) ? true : null;
+}
+
+function vendorOf(addon) {
+  const vendor = (addon._embedded && addon._embedded.vendor) || addon.vendor || null;
+  return typeof vendor === 'string' ? { name: vendor } : vendor;
+}
+
+function supportedBy(addon, vendor) {
+  const flag = firstDefined(addon.atlassianSupported, addon.isAtlassianSupported,
+    addon.support && addon.support.atlassianSupported, vendor && vendor.isAtlassian);
+  if (flag === true || flag === false) return flag ? SUPPORT_TYPES.ATLASSIAN : SUPPORT_TYPES.VENDOR;
+
+  const text = String(addon.supportedBy || addon.supportType || (addon.support && addon.support.type) || '').toLowerCase();
+  if (text) return text.includes('atlassian') ? SUPPORT_TYPES.ATLASSIAN : SUPPORT_TYPES.VENDOR;
+  if (vendor && vendor.name) return /^atlassian\b/i.test(vendor.name) ? SUPPORT_TYPES.ATLASSIAN : SUPPORT_TYPES.VENDOR;
+  return null;
+}
+
+function dcApproval(addon) {
+  const programs = addon.programs || (addon._embedded && addon._embedded.programs) || {};
+  const dcHosting = (addon.hosting && !Array.isArray(addon.hosting) && (addon.hosting.dataCenter || addon.hosting.datacenter)) || {};
+  const direct = firstDefined(addon.dataCenterApproved, addon.isDataCenterApproved, addon.dataCenterStatus,
+    programs.dataCenterApproved, programs.dataCenter, dcHosting.approved, dcHosting.status);
+  if (direct !== undefined) return statusFlag(direct);
+
+  const tags = [].concat(addon.tags || [], (addon._embedded && addon._embedded.tags) || [])
+    .map(t => String(typeof t === 'object' ? t.key || t.name || '' : t).toLowerCase());
+  if (tags.some(t => /data.?center.?approved/.test(t))) return true;
+  return null;
+}
+
+/** Announced end of Data Center support as { announced, date, url } */
+function dcEndOfSupport(addon) {
+  const dcHosting = (addon.hosting && !Array.isArray(addon.hosting) && (addon.hosting.dataCenter || addon.hosting.datacenter)) || {};
+  const raw = firstDefined(addon.dataCenterEndOfSupport, addon.dcEndOfSupport, addon.dataCenterEndOfLife,
+    dcHosting.endOfSupport, dcHosting.endOfSupportDate, dcHosting.endOfLife);
+  if (raw === undefined) return { announced: null, date: null, url: null };
+  if (raw === true || raw === false) return { announced: raw, date: null, url: null };
+  if (typeof raw === 'object') {
+    const date = raw.date || raw.endDate || raw.endOfSupportDate || null;
+    return {
+      announced: raw.announced !== undefined ? !!raw.announced : !!date,
+      date: date ? String(date) : null,
+      url: linkHref(raw.announcement) || linkHref(raw.link) || linkHref(raw.url) || null
+    };
+  }
+  return { announced: true, date: String(raw), url: null };
+}
+
+/** Newest releaseDate among version entries, as given */
+function lastReleaseDate(versions) {
+  let latest = null;
+  for (const v of versions || []) {
+    const time = v && v.releaseDate ? Date.parse(v.releaseDate) : NaN;
+    if (!Number.isNaN(time) && (!latest || time > latest.time)) latest = { time, date: v.releaseDate };
+  }
+  return latest ? latest.date : null;
+}
+
+/**
+ * Vendor, support and Data Center status of an addon.
+ * @param {Array<Object|string|null>} listings - Addon payloads, best first (the
+ *   /rest/2/addons/{key} body, the initial-state addon node); a field missing from
+ *   one is taken from the next
+ * @param {Object[]} [versions] - Raw version entries, for the last release date
+ * @returns {{ vendorName: string|null, vendorUrl: string|null, supportedBy: 'atlassian'|'vendor'|null,
+ *             dcApproved: boolean|null, lastReleaseDate: string|null,
+ *             dcEndOfSupportAnnounced: boolean|null, dcEndOfSupportDate: string|null,
+ *             dcEndOfSupportUrl: string|null }}
+ */
+function parseMarketplaceInfo(listings, versions) {
+  const info = {
+    vendorName: null,
+    vendorUrl: null,
+    supportedBy: null,
+    dcApproved: null,
+    lastReleaseDate: lastReleaseDate(versions),
+    dcEndOfSupportAnnounced: null,
+    dcEndOfSupportDate: null,
+    dcEndOfSupportUrl: null
+  };
+
+  let listingRead = false;
+  for (const body of listings) {
+    if (!body) continue;
+    listingRead = true;
+    const addon = typeof body === 'string' ? JSON.parse(body) : body;
+    const vendor = vendorOf(addon);
+    const endOfSupport = dcEndOfSupport(addon);
+    const found = {
+      vendorName: vendor ? vendor.name || null : null,
+      vendorUrl: vendor ? linkHref(vendor._links && (vendor._links.alternate || vendor._links.self)) || linkHref(vendor.url) : null,
+      supportedBy: supportedBy(addon, vendor),
+      dcApproved: dcApproval(addon),
+      dcEndOfSupportAnnounced: endOfSupport.announced,
+      dcEndOfSupportDate: endOfSupport.date,
+      dcEndOfSupportUrl: endOfSupport.url
+    };
+    for (const [key, value] of Object.entries(found)) {
+      if (info[key] === null && value !== null && value !== undefined) info[key] = value;
+    }
+  }
+  // A listing without an end-of-support notice means none was announced
+  if (listingRead && info.dcEndOfSupportAnnounced === null) info.dcEndOfSupportAnnounced = false;
+  return info;
+}
+
+module.exports = {
+  REST_PAGE_LIMIT,
+  CLOUD_CATEGORIES,
+  SUPPORT_TYPES,
+  parseCloudReadiness,
+  parseMarketplaceInfo,
+  parseInitialStateHtml,
+  parseInitialStateListing,
+  extractVersionFromStateNode,
+  parseVersionsPage,
+  paginateVersions
+};
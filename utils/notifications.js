@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Notification channels
+ * =====================
+ *
+ * sendNotifications() hands each notification to every registered channel:
+ *
+ *   {
+ *     name: 'in-app',
+ *     async send(notifications) → void   (may throw; other channels still run)
+ *   }
+ *
+ * A notification is { kind, message, recipients: [username], watchId, runId,
+ * pluginId, data }. The built-in 'in-app' channel stores one Notification per
+ * recipient, listed by GET /api/notifications.
+ */
+
+const Notification = require('../models/Notification');
+
+const channels = new Map();
+
+function registerNotificationChannel(channel) {
+  if (!channel || typeof channel.name !== 'string' || !channel.name) {
+    throw new Error('Notification channel needs a name');
+  }
+  if (typeof channel.send !== 'function') {
+    throw new Error(`Notification channel "${channel.name}" needs a send(notifications) function`);
+  }
+  channels.set(channel.name, channel);
+  return channel;
+}
+
+/** Deliver to every channel; failures are logged, never thrown */
+async function sendNotifications(notifications) {
+  const list = [].concat(notifications).filter(Boolean);
+  if (!list.length) return;
+  for (const channel of channels.values()) {
+    try {
+      await channel.send(list);
+    } catch (err) {
+      console.error(`⚠️  Notification channel "${channel.name}" failed:`, err.message);
+    }
+  }
+}
+
+registerNotificationChannel({
+  name: 'in-app',
+  async send(notifications) {
+    const docs = [];
+    for (const n of notifications) {
+      for (const username of new Set(n.recipients || [])) {
+        docs.push({
+          username,
+          kind: n.kind,
+          message: n.message,
+          watchId: n.watchId || null,
+          runId: n.runId || null,
+          pluginId: n.pluginId || null,
+          data: n.data || null
+        });
+      }
+    }
+    if (docs.length) await Notification.insertMany(docs, { ordered: false });
+  }
+});
+
+module.exports = {
+  registerNotificationChannel,
+  sendNotifications
+};
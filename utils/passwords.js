@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Password hashing and first-run user bootstrap
+ * =============================================
+ *
+ * Hashes are stored as "scrypt$<salt hex>$<key hex>" using Node's built-in
+ * crypto.scrypt with a random 16-byte salt per password.
+ *
+ * When the users collection is empty, INITIAL_ADMIN_USERNAME and
+ * INITIAL_ADMIN_PASSWORD create the first admin. The password is never logged.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/** Constant-time comparison against a stored hash; malformed hashes never match */
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(String(password || ''), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/** @returns {string|null} Why the password is unacceptable, or null */
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain letters and digits.';
+  }
+  return null;
+}
+
+/** Readable one-time password handed out by an admin reset */
+function generateTemporaryPassword() {
+  let password;
+  do {
+    password = crypto.randomBytes(12).toString('base64').replace(/[+/=]/g, '');
+  } while (passwordProblem(password));
+  return password;
+}
+
+/** Create the first admin from the environment if no user exists yet */
+async function bootstrapInitialAdmin(log = console.log) {
+  if (await User.estimatedDocumentCount() > 0) return null;
+
+  const username = String(process.env.INITIAL_ADMIN_USERNAME || '').trim();
+  const password = process.env.INITIAL_ADMIN_PASSWORD || '';
+  if (!username || !password) {
+    log('⚠️  No users exist. Set INITIAL_ADMIN_USERNAME and INITIAL_ADMIN_PASSWORD to create the first admin.');
+    return null;
+  }
+  const problem = passwordProblem(password);
+  if (problem) {
+    log(`⚠️  INITIAL_ADMIN_PASSWORD rejected: ${problem}`);
+    return null;
+  }
+
+  try {
+    const admin = await User.create({
+      username,
+      displayName: process.env.INITIAL_ADMIN_DISPLAY_NAME || 'Administrator',
+      role: 'admin',
+      passwordHash: await hashPassword(password),
+      createdBy: 'bootstrap'
+    });
+    log(`👤 Created initial admin "${admin.username}" from environment`);
+    return admin;
+  } catch (err) {
+    // Another instance may have bootstrapped at the same time
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  passwordProblem,
+  generateTemporaryPassword,
+  bootstrapInitialAdmin
+};
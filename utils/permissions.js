@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Role-based permissions
+ * ======================
+ *
+ *   viewer  → read the inventory, check runs, reports and scheduled watches
+ *   editor  → viewer + maintain the inventory, run checks and manage watches
+ *   admin   → editor + delete check runs, manage users and webhooks, read the audit log
+ *
+ * Routes declare the action they perform (requirePermission('plugins:write'));
+ * the tables below are the only place that maps actions to roles and to
+ * API token scopes.
+ */
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const PERMISSIONS = {
+  'plugins:read':     ['viewer', 'editor', 'admin'],
+  'plugins:write':    ['editor', 'admin'],
+  'plugins:delete':   ['editor', 'admin'],
+  'plugins:import':   ['editor', 'admin'],
+  'checks:run':       ['editor', 'admin'],
+  'runs:read':        ['viewer', 'editor', 'admin'],
+  'runs:delete':      ['admin'],
+  'reports:download': ['viewer', 'editor', 'admin'],
+  'watches:read':     ['viewer', 'editor', 'admin'],
+  'watches:manage':   ['editor', 'admin'],
+  'users:manage':     ['admin'],
+  'webhooks:manage':  ['admin'],
+  'audit:read':       ['admin']
+};
+
+const ACTION_LABELS = {
+  'plugins:read':     'view the plugin inventory',
+  'plugins:write':    'add or edit plugins',
+  'plugins:delete':   'delete plugins',
+  'plugins:import':   'import plugins',
+  'checks:run':       'run compatibility checks',
+  'runs:read':        'view check runs',
+  'runs:delete':      'delete check runs',
+  'reports:download': 'download reports',
+  'watches:read':     'view scheduled watches',
+  'watches:manage':   'manage scheduled watches',
+  'users:manage':     'manage users',
+  'webhooks:manage':  'manage webhooks',
+  'audit:read':       'view the audit log'
+};
+
+// API tokens carry scopes; a token may only do what both its scopes and its owner's role allow
+const TOKEN_SCOPES = {
+  read:      ['plugins:read', 'runs:read', 'reports:download', 'watches:read'],
+  checks:    ['plugins:read', 'runs:read', 'reports:download', 'watches:read', 'checks:run', 'watches:manage'],
+  inventory: ['plugins:read', 'plugins:write', 'plugins:delete', 'plugins:import']
+};
+const TOKEN_SCOPE_NAMES = Object.keys(TOKEN_SCOPES);
+
+// Accounts created before viewer/editor existed had role "user" (full inventory access)
+const LEGACY_ROLES = { user: 'editor' };
+
+function normalizeRole(role) {
+  return LEGACY_ROLES[role] || role;
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Whether a role may perform an action; unknown actions are denied.
+ * @param {string[]} [scopes] - Token scopes; when given, one of them must also cover the action
+ */
+function can(role, action, scopes) {
+  const allowed = PERMISSIONS[action];
+  if (!allowed || !allowed.includes(normalizeRole(role))) return false;
+  if (!scopes) return true;
+  return scopes.some(scope => (TOKEN_SCOPES[scope] || []).includes(action));
+}
+
+/** @returns {string|null} Why this role cannot hold a token with these scopes, or null */
+function tokenScopeProblem(role, scopes) {
+  if (!Array.isArray(scopes) || !scopes.length) return 'At least one scope is required.';
+  const unknown = scopes.filter(s => !TOKEN_SCOPES[s]);
+  if (unknown.length) return `Unknown scope(s): ${unknown.join(', ')}. Use: ${TOKEN_SCOPE_NAMES.join(', ')}.`;
+  const beyondRole = scopes.filter(s => !TOKEN_SCOPES[s].every(action => can(role, action)));
+  if (beyondRole.length) return `Your role "${normalizeRole(role)}" cannot grant scope(s): ${beyondRole.join(', ')}.`;
+  return null;
+}
+
+/** Actions the role may perform, for the UI to hide what it cannot use */
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(action => can(role, action));
+}
+
+function deniedMessage(role, action) {
+  const allowed = PERMISSIONS[action] || [];
+  return `Your role "${normalizeRole(role) || 'none'}" cannot ${ACTION_LABELS[action] || action}. ` +
+         `Requires: ${allowed.join(' or ') || 'n/a'}.`;
+}
+
+/**
+ * Express middleware; use after requireAuth (which sets req.user).
+ * @param {string} action - Key of PERMISSIONS
+ */
+function requirePermission(action) {
+  if (!PERMISSIONS[action]) throw new Error(`Unknown permission "${action}"`);
+  return (req, res, next) => {
+    const user = req.user || {};
+    if (can(user.role, action, user.scopes)) return next();
+    const error = can(user.role, action)
+      ? `This API token's scopes (${user.scopes.join(', ')}) do not allow you to ${ACTION_LABELS[action] || action}.`
+      : deniedMessage(user.role, action);
+    res.status(403).json({ error, action });
+  };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  TOKEN_SCOPES,
+  TOKEN_SCOPE_NAMES,
+  LEGACY_ROLES,
+  normalizeRole,
+  isValidRole,
+  can,
+  permissionsFor,
+  tokenScopeProblem,
+  requirePermission
+};
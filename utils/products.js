@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Product registry
+ * ================
+ *
+ * Every Data Center product the checker supports. `applicationKeys` are the
+ * Marketplace application keys whose compatibility entry applies to the
+ * product: a JSM inventory is checked against the JSM range, not Jira core.
+ */
+
+const PRODUCTS = {
+  jira: {
+    label:           'Jira',
+    applicationKeys: ['jira', 'jira-software', 'jira-core']
+  },
+  confluence: {
+    label:           'Confluence',
+    applicationKeys: ['confluence']
+  },
+  jsm: {
+    label:           'Jira Service Management',
+    shortLabel:      'JSM',
+    applicationKeys: ['jira-servicedesk', 'jira-service-management', 'jsm', 'servicedesk']
+  },
+  bitbucket: {
+    label:           'Bitbucket',
+    applicationKeys: ['bitbucket', 'stash']
+  },
+  bamboo: {
+    label:           'Bamboo',
+    applicationKeys: ['bamboo']
+  },
+  crowd: {
+    label:           'Crowd',
+    applicationKeys: ['crowd']
+  }
+};
+
+const PRODUCT_TYPES = Object.keys(PRODUCTS);
+
+function isValidProductType(type) {
+  return Object.prototype.hasOwnProperty.call(PRODUCTS, type);
+}
+
+function getProduct(type) {
+  return isValidProductType(type) ? { type, ...PRODUCTS[type] } : null;
+}
+
+/** Report label, e.g. 'jsm' → 'Jira Service Management' */
+function productLabel(type) {
+  const product = getProduct(type);
+  return product ? product.label : String(type || '');
+}
+
+/** Label short enough for worksheet names (Excel caps them at 31 characters) */
+function productShortLabel(type) {
+  const product = getProduct(type);
+  return product ? (product.shortLabel || product.label) : String(type || '');
+}
+
+function invalidProductTypeMessage() {
+  return `Invalid type. Use one of: ${PRODUCT_TYPES.map(t => `"${t}"`).join(', ')}.`;
+}
+
+module.exports = {
+  PRODUCTS,
+  PRODUCT_TYPES,
+  isValidProductType,
+  getProduct,
+  productLabel,
+  productShortLabel,
+  invalidProductTypeMessage
+};
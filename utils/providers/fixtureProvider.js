@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Offline fixture provider
+ * ========================
+ *
+ * Serves recorded Marketplace payloads from disk so the whole check
+ * pipeline can run without network access (CI, demos, debugging):
+ *
+ *   <fixtureDir>/<addon id or slug>/initial-state.html   ← version-history page
+ *   <fixtureDir>/<addon id or slug>/versions-0.json      ← REST page, offset 0
+ *   <fixtureDir>/<addon id or slug>/versions-50.json     ← REST page, offset 50 …
+ *   <fixtureDir>/<addon id or slug>/addon.json           ← addon listing (Cloud readiness, vendor)
+ *
+ * The HTML is preferred; REST pages are used when no HTML was recorded.
+ * fixtureDir comes from the check options or VERSION_FIXTURE_DIR.
+ * test/fixtures/marketplace holds the recorded set the test suite runs against.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseInitialStateHtml, parseInitialStateListing, paginateVersions } = require('../marketplaceParsers');
+
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function fixtureFolder(fixtureDir, identifiers) {
+  for (const key of [identifiers.id, identifiers.slug]) {
+    if (!key) continue;
+    const dir = path.join(fixtureDir, key);
+    if (fs.existsSync(dir)) return dir;
+  }
+  return null;
+}
+
+function resolveFixtureFolder(plugin, context) {
+  const fixtureDir = context.fixtureDir || process.env.VERSION_FIXTURE_DIR;
+  if (!fixtureDir) throw new Error('no fixture directory configured (VERSION_FIXTURE_DIR)');
+
+  const dir = fixtureFolder(fixtureDir, context.identifiers);
+  if (!dir) {
+    throw new Error(`no fixture for addon ${context.identifiers.id || context.identifiers.slug || plugin.marketplaceUrl}`);
+  }
+  return dir;
+}
+
+const fixtureProvider = {
+  name: 'fixture',
+
+  async fetch(plugin, context) {
+    const dir = resolveFixtureFolder(plugin, context);
+    context.progressCallback(`  [Fixture] Reading recorded payloads from ${dir}`);
+
+    const html = readIfExists(path.join(dir, 'initial-state.html'));
+    const versions = html !== null
+      ? parseInitialStateHtml(html, context)
+      : await paginateVersions(async offset => readIfExists(path.join(dir, `versions-${offset}.json`)), context);
+
+    if (!versions.length) throw new Error(`fixture in ${dir} has no DC versions`);
+    context.progressCallback(`  [Fixture] Found ${versions.length} versions`);
+    return { versions, listing: html !== null ? parseInitialStateListing(html) : null };
+  },
+
+  async fetchListing(plugin, context) {
+    const dir = resolveFixtureFolder(plugin, context);
+    const body = readIfExists(path.join(dir, 'addon.json'));
+    if (body === null) throw new Error(`fixture in ${dir} has no addon.json`);
+    return JSON.parse(body);
+  }
+};
+
+module.exports = fixtureProvider;
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Version-source provider registry
+ * ================================
+ *
+ * A provider fetches the raw DC version history of one plugin:
+ *
+ *   {
+ *     name: 'rest-api',
+ *     supports(plugin, context) → boolean     (optional, default true)
+ *     async fetch(plugin, context) → versions, or { versions, listing }  (throws when it has nothing)
+ *     async fetchListing(plugin, context) → /rest/2/addons/{key} body  (optional)
+ *   }
+ *
+ * `listing` is the addon object a version payload happens to embed (e.g. the
+ * initial-state page); it fills vendor fields the addon listing lacks.
+ *
+ * context = { pageUrl, identifiers, applicationKeys, browserProvider, progressCallback,
+ *             fixtureDir, marketplaceBaseUrl }
+ *
+ * fetchAllVersions() tries providers in order and reports the name of the
+ * first one that succeeds as the result's fetchMethod.
+ */
+
+const DEFAULT_ORDER = ['initial-state', 'rest-api', 'puppeteer'];
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || !provider.name) {
+    throw new Error('Provider needs a name');
+  }
+  if (typeof provider.fetch !== 'function') {
+    throw new Error(`Provider "${provider.name}" needs a fetch(plugin, context) function`);
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Resolve the provider order: explicit list → VERSION_PROVIDERS env → default.
+ * @param {string|string[]} [order] - Names, as an array or comma-separated
+ */
+function resolveProviderOrder(order) {
+  let names = order || process.env.VERSION_PROVIDERS || DEFAULT_ORDER;
+  if (!Array.isArray(names)) names = String(names).split(',');
+  names = names.map(n => String(n).trim()).filter(Boolean);
+
+  const unknown = names.filter(n => !providers.has(n));
+  if (unknown.length) {
+    throw new Error(`Unknown version provider(s): ${unknown.join(', ')}. Available: ${listProviders().join(', ')}`);
+  }
+  return names.map(n => providers.get(n));
+}
+
+module.exports = {
+  DEFAULT_ORDER,
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveProviderOrder
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * Release-note analysis
+ * =====================
+ *
+ * Reads the notes of every release between the installed version (exclusive)
+ * and the recommended version (inclusive) and flags the ones that mention
+ *
+ *   security   → security fixes, CVEs, vulnerabilities
+ *   breaking   → breaking / incompatible changes
+ *   removed    → removed or discontinued features
+ *   migration  → required migration, reindex or manual upgrade steps
+ *
+ * Rules are case-insensitive regular expressions. RELEASE_NOTES_RULES may
+ * name a JSON file that replaces or adds categories:
+ *
+ *   { "security": { "label": "Security fix", "patterns": ["\\bCVE-\\d{4}-\\d+", "patched"] },
+ *     "licensing": { "label": "Licensing change", "patterns": ["licen[cs]e"] } }
+ *
+ * A category whose patterns are an empty list is switched off. A file that
+ * cannot be read or compiled is reported once and the defaults are used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('./versionEngine');
+
+const DEFAULT_RULES = {
+  // A fixed security problem, not any mention of security ("improved security of the layout")
+  security: {
+    label: 'Security fix',
+    patterns: [
+      '\\bsecurity (?:fix|patch|update|issue|bug|flaw|hole|problem|advisor|vulnerabilit)',
+      '\\bfix(?:es|ed)? (?:a |an |the |several |multiple |some )?(?:potential )?security\\b',
+      '\\bCVE-\\d{4}-\\d+', '\\bvulnerabilit(?:y|ies)\\b', '\\bXSS\\b',
+      '\\bcross[- ]site\\b', '\\b(?:sql|code|command) injection\\b', '\\bCSRF\\b', '\\bSSRF\\b',
+      '\\bprivilege escalation\\b', '\\bremote code execution\\b'
+    ]
+  },
+  breaking: {
+    label: 'Breaking change',
+    patterns: [
+      '\\bbreaking change', '\\bbackwards?[- ]incompatib', '\\bnot (?:backwards?[- ])?compatible with\\b',
+      '\\bno longer compatible\\b', '\\bAPI change', '\\bchanged the default\\b'
+    ]
+  },
+  // Removal of something users rely on, not any removed log line or cache entry
+  removed: {
+    label: 'Removed feature',
+    patterns: [
+      '\\b(?:removed|dropped|discontinued) (?:the |support for |the ability to )?(?:support|features?|options?|ability|functionality|integrations?|endpoints?|settings?|macros?|modules?)\\b',
+      '\\b(?:features?|options?|functionality|integrations?|endpoints?|settings?|macros?|modules?)\\b[^.\\n]{0,40}?\\b(?:(?:has|have) been|was|were) (?:removed|dropped|discontinued)\\b',
+      '\\bsupport for\\b[^.\\n]{0,60}?\\b(?:has been |was |is )?(?:removed|dropped|discontinued)\\b',
+      '\\bno longer (?:available|supported|provided)\\b', '\\bend of support\\b'
+    ]
+  },
+  // A step the upgrade needs, not a feature about migrating ("Cloud migration assistant")
+  migration: {
+    label: 'Migration step',
+    patterns: [
+      '\\b(?:data|database|schema|config(?:uration)?|settings) migration\\b',
+      '\\bmigrat(?:e|ion)\\b[^.\\n]{0,40}?\\b(?:is |are )?(?:required|needed|necessary)\\b',
+      '\\b(?:must|need to|needs to|have to|has to) (?:be )?migrat', '\\bmigration (?:steps?|tasks?|scripts?)\\b',
+      '\\bre-?index', '\\bmanual(?:ly)? (?:step|action|update)', '\\bbefore upgrading\\b',
+      '\\bupgrade (?:task|step|instructions)', '\\bmust (?:be )?(?:re-?configured|updated|run)\\b',
+      '\\bdatabase (?:schema )?(?:change|upgrade)'
+    ]
+  }
+};
+
+// Longest excerpt quoted per finding
+const EXCERPT_CHARS = 160;
+
+let cachedRules = null;
+
+function compileRules(definitions) {
+  return Object.entries(definitions)
+    .filter(([, def]) => def && Array.isArray(def.patterns) && def.patterns.length)
+    .map(([category, def]) => ({
+      category,
+      label: def.label || category,
+      patterns: def.patterns.map(p => new RegExp(p, 'i'))
+    }));
+}
+
+/**
+ * Default rules merged with RELEASE_NOTES_RULES.
+ * @throws {Error} when the file is missing or not valid JSON / regex
+ */
+function readReleaseNoteRules(file = process.env.RELEASE_NOTES_RULES) {
+  if (!file) return compileRules(DEFAULT_RULES);
+  const custom = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error('expected an object of categories');
+  }
+  return compileRules({ ...DEFAULT_RULES, ...custom });
+}
+
+/**
+ * readReleaseNoteRules(), read once and kept for the life of the process, so
+ * edits to the file need a restart. A broken file never fails a check: it is
+ * logged and the default rules apply.
+ */
+function loadReleaseNoteRules() {
+  if (cachedRules) return cachedRules;
+  try {
+    cachedRules = readReleaseNoteRules();
+  } catch (err) {
+    console.warn(`⚠️  RELEASE_NOTES_RULES (${process.env.RELEASE_NOTES_RULES}) ignored, using the default rules: ${err.message}`);
+    cachedRules = compileRules(DEFAULT_RULES);
+  }
+  return cachedRules;
+}
+
+/** Marketplace notes are HTML; keep the text */
+function notesText(value) {
+  return String(value || '')
+    .replace(/<(?:br|\/p|\/li|\/h\d)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/** The line or sentence around a match, shortened */
+function excerptAround(text, index) {
+  const before = text.slice(0, index);
+  const start = Math.max(before.lastIndexOf('\n'), before.search(/[.!?]\s[^.!?]*$/) + 1, 0);
+  const rest = text.slice(index);
+  const endRel = rest.search(/\n|[.!?](?:\s|$)/);
+  const sentence = text.slice(start, endRel === -1 ? text.length : index + endRel + 1).trim();
+  return sentence.length > EXCERPT_CHARS ? sentence.slice(0, EXCERPT_CHARS - 1) + '…' : sentence;
+}
+
+/** @returns {Object[]} [{ category, label, excerpt }] — one finding per matching category */
+function classifyNotes(text, rules) {
+  const findings = [];
+  for (const rule of rules) {
+    for (const pattern of rule.patterns) {
+      const match = pattern.exec(text);
+      if (match) {
+        findings.push({ category: rule.category, label: rule.label, excerpt: excerptAround(text, match.index) });
+        break;
+      }
+    }
+  }
+  return findings;
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Analyze the releases an upgrade from `currentVersion` to `recommendedVersion` skips over.
+ * @param {Object[]} versions - Raw version entries ({ version, releaseSummary, releaseNotes, releaseDate })
+ * @param {Object} [options]
+ * @param {Object[]} [options.rules] - Compiled rules (default loadReleaseNoteRules())
+ * @returns {Object|null} null when there is nothing to upgrade to
+ */
+function analyzeReleaseNotes(versions, currentVersion, recommendedVersion, options = {}) {
+  if (!recommendedVersion || !currentVersion || compareVersions(recommendedVersion, currentVersion) <= 0) return null;
+  const rules = options.rules || loadReleaseNoteRules();
+
+  // Several entries per version exist (one per compatibility row); their notes are the same
+  const byVersion = new Map();
+  for (const v of versions || []) {
+    if (!v || !v.version) continue;
+    if (compareVersions(v.version, currentVersion) <= 0 || compareVersions(v.version, recommendedVersion) > 0) continue;
+    const text = notesText([v.releaseSummary, v.releaseNotes].filter(Boolean).join('\n'));
+    const known = byVersion.get(v.version);
+    if (!known || (!known.text && text)) byVersion.set(v.version, { version: v.version, releaseDate: v.releaseDate || '', text });
+  }
+  const skipped = [...byVersion.values()].sort((a, b) => compareVersions(a.version, b.version));
+
+  const findings = [];
+  for (const release of skipped) {
+    for (const f of classifyNotes(release.text, rules)) {
+      findings.push({ version: release.version, releaseDate: release.releaseDate, ...f });
+    }
+  }
+
+  const counts = {};
+  for (const rule of rules) counts[rule.category] = 0;
+  for (const f of findings) counts[f.category]++;
+
+  const parts = rules
+    .filter(rule => counts[rule.category])
+    .map(rule => {
+      const inVersions = findings.filter(f => f.category === rule.category).map(f => f.version);
+      return `${pluralize(counts[rule.category], rule.label.toLowerCase())} (${inVersions.join(', ')})`;
+    });
+  const withoutNotes = skipped.filter(r => !r.text).length;
+  const span = `${pluralize(skipped.length, 'release')} from ${currentVersion} to ${recommendedVersion}`;
+  let summary = parts.length ? `${span}: ${parts.join('; ')}` : `${span}: nothing flagged`;
+  if (withoutNotes) summary += ` — ${withoutNotes} without release notes`;
+
+  return {
+    fromVersion: currentVersion,
+    toVersion: recommendedVersion,
+    releasesSkipped: skipped.length,
+    releasesWithoutNotes: withoutNotes,
+    counts,
+    findings,
+    summary
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  readReleaseNoteRules,
+  loadReleaseNoteRules,
+  analyzeReleaseNotes
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Compare two compatibility runs plugin by plugin.
+ *
+ * Both sides are arrays of buildResult() output. Plugins are matched by
+ * Marketplace addon ID when the URL carries one, otherwise by name.
+ */
+
+const { extractAddonIdentifiers } = require('./scraper');
+const { compareVersions } = require('./versionEngine');
+
+function pluginKey(result) {
+  const { id } = extractAddonIdentifiers(result.pluginUrl);
+  if (id) return `id:${id}`;
+  return `name:${String(result.pluginName || '').trim().toLowerCase()}`;
+}
+
+function indexResults(results) {
+  const map = new Map();
+  for (const r of results || []) map.set(pluginKey(r), r);
+  return map;
+}
+
+function compatibleVersionSet(result) {
+  return new Set((result.compatibleVersions || []).map(cv => cv.pluginVersion));
+}
+
+function describeStatus(result) {
+  if (!result) return null;
+  if (result.error) return 'error';
+  if (result.compatible === true) return 'compatible';
+  if (result.compatible === false) return 'not-compatible';
+  return 'unknown';
+}
+
+function diffPlugin(base, head) {
+  const ref = head || base;
+  const entry = {
+    pluginName:         ref.pluginName,
+    pluginUrl:          ref.pluginUrl,
+    change:             'unchanged',
+    statusBefore:       describeStatus(base),
+    statusAfter:        describeStatus(head),
+    currentVersionBefore: base ? base.currentVersion : null,
+    currentVersionAfter:  head ? head.currentVersion : null,
+    recommendedBefore:  base ? base.recommendedVersion : null,
+    recommendedAfter:   head ? head.recommendedVersion : null,
+    compatibilityFlipped: false,
+    recommendedChanged:   false,
+    newCompatibleVersions: []
+  };
+
+  if (!base) { entry.change = 'added'; return entry; }
+  if (!head) { entry.change = 'removed'; return entry; }
+
+  // Errors say nothing about compatibility, so they never count as a flip
+  entry.compatibilityFlipped = typeof base.compatible === 'boolean' &&
+                               typeof head.compatible === 'boolean' &&
+                               base.compatible !== head.compatible;
+  entry.recommendedChanged = (base.recommendedVersion || null) !== (head.recommendedVersion || null);
+
+  const before = compatibleVersionSet(base);
+  entry.newCompatibleVersions = [...compatibleVersionSet(head)]
+    .filter(v => !before.has(v))
+    .sort((a, b) => compareVersions(b, a));
+
+  if (entry.compatibilityFlipped || entry.recommendedChanged ||
+      entry.newCompatibleVersions.length || entry.statusBefore !== entry.statusAfter ||
+      entry.currentVersionBefore !== entry.currentVersionAfter) {
+    entry.change = 'changed';
+  }
+  return entry;
+}
+
+/**
+ * @param {Object} baseRun - Older run ({ _id, targetDCVersion, startedAt, results })
+ * @param {Object} headRun - Newer run
+ * @returns {Object} diff with per-plugin entries and summary counts
+ */
+function diffRuns(baseRun, headRun) {
+  const baseMap = indexResults(baseRun.results);
+  const headMap = indexResults(headRun.results);
+
+  const plugins = [];
+  for (const [key, head] of headMap) plugins.push(diffPlugin(baseMap.get(key), head));
+  for (const [key, base] of baseMap) {
+    if (!headMap.has(key)) plugins.push(diffPlugin(base, null));
+  }
+  plugins.sort((a, b) => String(a.pluginName).localeCompare(String(b.pluginName)));
+
+  return {
+    base: { runId: baseRun._id, targetDCVersion: baseRun.targetDCVersion, startedAt: baseRun.startedAt },
+    head: { runId: headRun._id, targetDCVersion: headRun.targetDCVersion, startedAt: headRun.startedAt },
+    sameTarget: baseRun.targetDCVersion === headRun.targetDCVersion,
+    summary: {
+      added:                 plugins.filter(p => p.change === 'added').length,
+      removed:               plugins.filter(p => p.change === 'removed').length,
+      changed:               plugins.filter(p => p.change === 'changed').length,
+      unchanged:             plugins.filter(p => p.change === 'unchanged').length,
+      becameCompatible:      plugins.filter(p => p.compatibilityFlipped && p.statusAfter === 'compatible').length,
+      becameNotCompatible:   plugins.filter(p => p.compatibilityFlipped && p.statusAfter === 'not-compatible').length,
+      recommendedChanged:    plugins.filter(p => p.recommendedChanged).length,
+      newCompatibleReleases: plugins.filter(p => p.newCompatibleVersions.length > 0).length
+    },
+    plugins
+  };
+}
+
+module.exports = { diffRuns, describeStatus };
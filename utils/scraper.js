@@ -4,7 +4,8 @@
  * Atlassian Marketplace Compatibility Scraper
  * =============================================
  *
- * DATA SOURCES (tried in order per plugin):
+ * DATA SOURCES (tried in order per plugin; see providers/registry.js to
+ * reorder them or add more, e.g. the offline 'fixture' provider):
  *
  * 1. <script id="initial-state"> JSON embedded in the page HTML
  * → Most reliable: full data, no rendering race conditions
@@ -13,7 +14,8 @@
  * → Structured JSON, paginated, no browser needed
  *
  * 3. Puppeteer with ROBUST DOM selectors:
- * Scrapes the ARIA treegrid.
+ * Scrapes the ARIA treegrid. Chromium is launched lazily on first use
+ * and can be switched off entirely with PUPPETEER_FALLBACK=false.
  */
 
 const puppeteer = require('puppeteer-core');
@@ -21,72 +23,43 @@ const chromium  = require('@sparticuz/chromium');
 const https     = require('https');
 const http      = require('http');
 const urlMod    = require('url');
+const { mapWithConcurrency, acquireHostToken, withRetry, parseRetryAfter } = require('./concurrency');
+const {
+  parseInitialStateHtml, parseInitialStateListing, paginateVersions, parseCloudReadiness, parseMarketplaceInfo, CLOUD_CATEGORIES
+} = require('./marketplaceParsers');
+const {
+  compareVersions, isVersionInRange, isVersionInAnyRange, findMatchingRange, parseCompatibilityString, formatRange
+} = require('./versionEngine');
+const { getProduct } = require('./products');
+const { loadReleaseNoteRules, analyzeReleaseNotes } = require('./releaseNotes');
+const { registerProvider, resolveProviderOrder } = require('./providers/registry');
+const fixtureProvider = require('./providers/fixtureProvider');
+
+const HTTP_RETRIES = 3;
+const DEFAULT_CONCURRENCY = 3;
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  VERSION ENGINE
+//  URL HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
 
-/** Matches dotted version tokens including alphanumeric segments */
-const VERSION_TOKEN_RE = /[0-9][0-9a-zA-Z]*(?:\.[0-9a-zA-Z]+)+|[a-zA-Z][0-9a-zA-Z]*(?:\.[0-9a-zA-Z]+)+/g;
-
-function parseSegment(seg) {
-  seg = String(seg || '').trim().toLowerCase();
-  const m = seg.match(/^(\d*)(.*)$/);
-  return { num: m[1].length ? parseInt(m[1], 10) : 0, alpha: m[2] };
-}
-
-function compareSegments(sa, sb) {
-  if (sa.num !== sb.num) return sa.num < sb.num ? -1 : 1;
-  if (sa.alpha === sb.alpha) return 0;
-  if (sa.alpha === '') return -1;  // "8" < "8a"
-  if (sb.alpha === '') return  1;
-  return sa.alpha < sb.alpha ? -1 : 1;
-}
+const MARKETPLACE_ORIGIN = 'https://marketplace.atlassian.com';
 
-function parseVersion(vstr) {
-  if (!vstr) return [{ num: 0, alpha: '' }];
-  return String(vstr).trim().split('.').map(parseSegment);
+/** MARKETPLACE_BASE_URL points the scraper at a local stand-in server */
+function marketplaceBaseUrl() {
+  return String(process.env.MARKETPLACE_BASE_URL || MARKETPLACE_ORIGIN).replace(/\/$/, '');
 }
 
-function compareVersions(a, b) {
-  const sa = parseVersion(a);
-  const sb = parseVersion(b);
-  const len = Math.max(sa.length, sb.length);
-  const pad = { num: 0, alpha: '' };
-  for (let i = 0; i < len; i++) {
-    const c = compareSegments(sa[i] || pad, sb[i] || pad);
-    if (c !== 0) return c;
+/** Re-home a Marketplace URL onto another origin, keeping path and query */
+function rebaseMarketplaceUrl(rawUrl, baseUrl) {
+  if (!baseUrl || baseUrl === MARKETPLACE_ORIGIN) return rawUrl;
+  try {
+    const parsed = new urlMod.URL(rawUrl);
+    return baseUrl + parsed.pathname + parsed.search;
+  } catch (_) {
+    return rawUrl;
   }
-  return 0;
-}
-
-function isVersionInRange(target, minVer, maxVer) {
-  if (!target || !minVer || !maxVer) return false;
-  return compareVersions(target, minVer) >= 0 &&
-         compareVersions(target, maxVer) <= 0;
-}
-
-function extractVersionTokens(text) {
-  if (!text) return [];
-  VERSION_TOKEN_RE.lastIndex = 0;
-  return (String(text).match(VERSION_TOKEN_RE) || []).filter(t => t.includes('.'));
 }
 
-function parseCompatibilityString(text) {
-  const rawText = String(text || '').trim();
-  if (!rawText) return { minVersion: null, maxVersion: null, rawText };
-  const tokens = extractVersionTokens(rawText);
-  if (!tokens.length) return { minVersion: null, maxVersion: null, rawText };
-  if (tokens.length === 1) return { minVersion: tokens[0], maxVersion: tokens[0], rawText };
-  let [min, max] = [tokens[0], tokens[tokens.length - 1]];
-  if (compareVersions(min, max) > 0) [min, max] = [max, min]; // safety swap
-  return { minVersion: min, maxVersion: max, rawText };
-}
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  URL HELPERS
-// ═══════════════════════════════════════════════════════════════════════════
-
 function normalizeVersionHistoryUrl(rawUrl) {
   rawUrl = String(rawUrl || '').trim();
   const base = rawUrl.includes('/version-history')
@@ -118,7 +91,19 @@ function extractAddonIdentifiers(marketplaceUrl) {
 //  HTTP HELPER
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * GET a URL as text. Requests wait for the host's rate limit, and 429/5xx
+ * responses or timeouts are retried with backoff (honouring Retry-After).
+ */
 function httpGet(reqUrl, extraHeaders = {}) {
+  const { hostname } = new urlMod.URL(reqUrl);
+  return withRetry(async () => {
+    await acquireHostToken(hostname);
+    return httpGetOnce(reqUrl, extraHeaders);
+  }, { retries: HTTP_RETRIES });
+}
+
+function httpGetOnce(reqUrl, extraHeaders = {}) {
   return new Promise((resolve, reject) => {
     const parsed  = new urlMod.URL(reqUrl);
     const lib     = parsed.protocol === 'https:' ? https : http;
@@ -137,9 +122,17 @@ function httpGet(reqUrl, extraHeaders = {}) {
     };
     const req = lib.request(options, res => {
       if ([301,302,307,308].includes(res.statusCode) && res.headers.location) {
-        return httpGet(res.headers.location, extraHeaders).then(resolve).catch(reject);
+        res.resume();
+        const next = new urlMod.URL(res.headers.location, reqUrl).toString();
+        return httpGetOnce(next, extraHeaders).then(resolve).catch(reject);
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        const err = new Error(`HTTP ${res.statusCode}`);
+        err.statusCode = res.statusCode;
+        err.retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+        return reject(err);
       }
-      if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}`));
       const chunks = [];
       res.on('data', c => chunks.push(c));
       res.on('end',  () => resolve(Buffer.concat(chunks).toString('utf8')));
@@ -155,87 +148,20 @@ function httpGet(reqUrl, extraHeaders = {}) {
 //  METHOD 1: INITIAL STATE (HTML)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fetchFromInitialState(pageUrl, progressCallback) {
+async function fetchFromInitialState(pageUrl, progressCallback, parseOptions = {}) {
   progressCallback('  [Method 1] Fetching page HTML for initial-state JSON...');
   const html = await httpGet(pageUrl, { 'Accept': 'text/html' });
-
-  // Improved regex to capture content more robustly
-  const scriptMatch = html.match(/<script[^>]+id=["']initial-state["'][^>]*>([\s\S]*?)<\/script>/i);
-  if (!scriptMatch) throw new Error('initial-state script tag not found');
-
-  let stateJson;
-  try {
-    stateJson = JSON.parse(scriptMatch[1]);
-  } catch (_) {
-    // Sometimes content is HTML-encoded
-    try {
-        const decoded = scriptMatch[1].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
-        stateJson = JSON.parse(decoded);
-    } catch (e2) {
-        throw new Error('initial-state JSON parse failed');
-    }
-  }
-
-  const versions = [];
-  walkInitialState(stateJson, versions);
-
-  if (!versions.length) throw new Error('No version data found in initial-state');
+  const versions = parseInitialStateHtml(html, parseOptions);
   progressCallback(`  [Method 1] Found ${versions.length} versions`);
-  return versions;
-}
-
-function walkInitialState(node, collected, depth = 0) {
-  if (!node || typeof node !== 'object' || depth > 15) return;
-  if (Array.isArray(node)) {
-    for (const item of node) walkInitialState(item, collected, depth + 1);
-    return;
-  }
-  
-  // Look for version string
-  const versionStr = node.name || node.version || '';
-  if (versionStr && /^\d+\.\d+/.test(String(versionStr)) && String(versionStr).length < 25) {
-    const entry = extractVersionFromStateNode(node, versionStr);
-    if (entry) { collected.push(entry); return; }
-  }
-
-  for (const key of Object.keys(node)) {
-    walkInitialState(node[key], collected, depth + 1);
-  }
-}
-
-function extractVersionFromStateNode(node, versionStr) {
-  const candidates = [];
-  const emb = node._embedded || {};
-  if (Array.isArray(emb.compatibilities)) candidates.push(...emb.compatibilities);
-  if (Array.isArray(node.compatibility))  candidates.push(...node.compatibility);
-  if (Array.isArray(node.compatibilities)) candidates.push(...node.compatibilities);
-
-  const dc = candidates.find(c => {
-    const h = String(c.hosting || c.type || '').toLowerCase();
-    return h.includes('datacenter') || h.includes('data_center') || h === 'server_and_dc';
-  });
-  if (!dc) return null;
-
-  const cvEmb = (dc._embedded && dc._embedded.compatibleVersions) || {};
-  const min   = dc.min || dc.minVersion || cvEmb.min || '';
-  const max   = dc.max || dc.maxVersion || cvEmb.max || '';
-  if (!min || !max) return null;
-
-  return {
-    version:        String(versionStr),
-    compatibility:  `${min} - ${max}`, // Simplified
-    releaseDate:    node.releaseDate || (node.release && node.release.date) || '',
-    releaseSummary: (node.release && node.release.notes) || node.releaseSummary || '',
-    minVersion:     min,
-    maxVersion:     max
-  };
+  // The page also carries the addon listing (vendor, support); kept for parseMarketplaceInfo()
+  return { versions, listing: parseInitialStateListing(html) };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  METHOD 2: REST API
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fetchFromAPI(identifiers, progressCallback) {
+async function fetchFromAPI(identifiers, progressCallback, baseUrl = marketplaceBaseUrl(), parseOptions = {}) {
   const { id, slug } = identifiers;
   // Try ID first if available (more reliable than slug which can change/be messy)
   const resourceKey = id || slug; 
@@ -243,46 +169,76 @@ async function fetchFromAPI(identifiers, progressCallback) {
   if (!resourceKey) throw new Error('No ID or slug found');
 
   progressCallback(`  [Method 2] REST API using key: ${resourceKey}`);
-  const allVersions = [];
-  const LIMIT = 50;
-  let offset  = 0;
-  
-  do {
-    const apiUrl = `https://marketplace.atlassian.com/rest/2/addons/${resourceKey}/versions` +
-                   `?hosting=datacenter&limit=${LIMIT}&offset=${offset}`;
-    
+  const allVersions = await paginateVersions(async (offset, limit) => {
+    const apiUrl = `${baseUrl}/rest/2/addons/${resourceKey}/versions` +
+                   `?hosting=datacenter&limit=${limit}&offset=${offset}`;
     // Silence detailed logs for pages 2+
     if (offset === 0) progressCallback(`  [Method 2] Requesting: ${apiUrl}`);
-
-    const body = await httpGet(apiUrl);
-    const data = JSON.parse(body);
-    
-    let items = [];
-    if (Array.isArray(data._embedded && data._embedded.versions)) items = data._embedded.versions;
-    else if (Array.isArray(data.versions)) items = data.versions;
-    
-    if (!items.length) break;
-
-    for (const v of items) {
-      const entry = extractVersionFromStateNode(v, v.name || v.version || '');
-      if (entry) allVersions.push(entry);
-    }
-
-    offset += LIMIT;
-    if (items.length < LIMIT) break; // End of list
-    await new Promise(r => setTimeout(r, 400));
-  } while (true);
+    return httpGet(apiUrl);
+  }, parseOptions);
 
   if (!allVersions.length) throw new Error('API returned 0 DC versions');
   progressCallback(`  [Method 2] Found ${allVersions.length} versions`);
   return allVersions;
 }
 
+/** Addon listing body (GET /rest/2/addons/{key}): Cloud hosting, migration, vendor and support */
+async function fetchListingFromAPI(identifiers, progressCallback, baseUrl = marketplaceBaseUrl()) {
+  const resourceKey = identifiers.id || identifiers.slug;
+  if (!resourceKey) throw new Error('No ID or slug found');
+
+  return JSON.parse(await httpGet(`${baseUrl}/rest/2/addons/${resourceKey}`));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  METHOD 3: PUPPETEER (ROBUST FALLBACK)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fetchFromPuppeteer(browser, pageUrl, pluginName, progressCallback) {
+/** PUPPETEER_FALLBACK=false turns the browser tier off (e.g. no Chromium available) */
+function isBrowserFallbackEnabled() {
+  return !['false', '0', 'off', 'no'].includes(String(process.env.PUPPETEER_FALLBACK || '').toLowerCase());
+}
+
+/**
+ * Shared Chromium instance that is only launched the first time a plugin
+ * actually needs the Puppeteer tier. Concurrent callers share one launch.
+ */
+function createBrowserProvider(progressCallback, { enabled = true } = {}) {
+  let launching = null;
+
+  return {
+    enabled,
+
+    get() {
+      if (!enabled) {
+        return Promise.reject(new Error('browser fallback is disabled (PUPPETEER_FALLBACK=false)'));
+      }
+      if (!launching) {
+        progressCallback('Launching browser for Puppeteer fallback...');
+        launching = (async () => puppeteer.launch({
+          args:            chromium.args,
+          defaultViewport: chromium.defaultViewport,
+          executablePath:  await chromium.executablePath(),
+          headless:        chromium.headless,
+        }))();
+        // A failed launch is remembered so later plugins fail fast instead of relaunching
+        launching.catch(() => {});
+      }
+      return launching;
+    },
+
+    async close() {
+      if (!launching) return;
+      try {
+        const browser = await launching;
+        await browser.close();
+      } catch (_) {}
+    }
+  };
+}
+
+async function fetchFromPuppeteer(browserProvider, pageUrl, pluginName, progressCallback) {
+  const browser = await browserProvider.get();
   progressCallback(`  [Method 3] Browser rendering: ${pageUrl}`);
   const page = await browser.newPage();
   
@@ -377,68 +333,271 @@ async function fetchFromPuppeteer(browser, pageUrl, pluginName, progressCallback
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  PROVIDERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+registerProvider({
+  name: 'initial-state',
+  fetch: (plugin, ctx) => fetchFromInitialState(ctx.pageUrl, ctx.progressCallback, ctx)
+});
+
+registerProvider({
+  name: 'rest-api',
+  // Try ID, then slug
+  supports: (plugin, ctx) => !!(ctx.identifiers.id || ctx.identifiers.slug),
+  fetch: (plugin, ctx) => fetchFromAPI(ctx.identifiers, ctx.progressCallback, ctx.marketplaceBaseUrl, ctx),
+  fetchListing: (plugin, ctx) =>
+    fetchListingFromAPI(ctx.identifiers, ctx.progressCallback, ctx.marketplaceBaseUrl)
+});
+
+registerProvider({
+  name: 'puppeteer',
+  fetch: (plugin, ctx) => fetchFromPuppeteer(ctx.browserProvider, ctx.pageUrl, plugin.name, ctx.progressCallback)
+});
+
+registerProvider(fixtureProvider);
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  MAIN ORCHESTRATOR
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fetchAllVersions(browser, plugin, progressCallback) {
-  const pageUrl = normalizeVersionHistoryUrl(plugin.marketplaceUrl);
-  const identifiers = extractAddonIdentifiers(plugin.marketplaceUrl);
+/**
+ * @param {Object[]} providers - Resolved provider list, tried in order
+ * @param {Object}   plugin
+ * @param {Object}   context - { browserProvider, progressCallback, fixtureDir, marketplaceBaseUrl }
+ */
+function providerContext(plugin, context) {
+  const baseUrl = context.marketplaceBaseUrl || marketplaceBaseUrl();
+  const product = getProduct(plugin.type);
+  return {
+    ...context,
+    applicationKeys:    product ? product.applicationKeys : null,
+    marketplaceBaseUrl: baseUrl,
+    pageUrl:     rebaseMarketplaceUrl(normalizeVersionHistoryUrl(plugin.marketplaceUrl), baseUrl),
+    identifiers: extractAddonIdentifiers(plugin.marketplaceUrl)
+  };
+}
+
+async function fetchAllVersions(providers, plugin, context) {
+  const ctx = providerContext(plugin, context);
   const errors = [];
 
-  // 1. Initial State
-  try {
-    const versions = await fetchFromInitialState(pageUrl, progressCallback);
-    return { versions, method: 'initial-state' };
-  } catch (e) {
-    errors.push(`initial-state: ${e.message}`);
+  for (const provider of providers) {
+    if (provider.supports && !provider.supports(plugin, ctx)) continue;
+    try {
+      const fetched = await provider.fetch(plugin, ctx);
+      // Providers return the versions, or { versions, listing } when their payload also has the listing
+      if (Array.isArray(fetched)) return { versions: fetched, method: provider.name, listing: null };
+      return { versions: fetched.versions, method: provider.name, listing: fetched.listing || null };
+    } catch (e) {
+      errors.push(`${provider.name}: ${e.message}`);
+    }
   }
 
-  // 2. REST API (Try ID, then Slug)
-  if (identifiers.id || identifiers.slug) {
+  throw new Error(`All methods failed:\n • ${errors.join('\n • ')}`);
+}
+
+/**
+ * Addon listing from the first provider in the order that can serve it.
+ * Never throws: resolves to { listing } or { listing: null, error }.
+ */
+async function fetchAddonListing(providers, plugin, context) {
+  const ctx = providerContext(plugin, context);
+  const errors = [];
+
+  for (const provider of providers) {
+    if (typeof provider.fetchListing !== 'function') continue;
+    if (provider.supports && !provider.supports(plugin, ctx)) continue;
     try {
-      const versions = await fetchFromAPI(identifiers, progressCallback);
-      return { versions, method: 'rest-api' };
+      return { listing: await provider.fetchListing(plugin, ctx) };
     } catch (e) {
-      errors.push(`rest-api: ${e.message}`);
+      errors.push(`${provider.name}: ${e.message}`);
     }
   }
+  return { listing: null, error: errors.length ? errors.join('; ') : 'No provider serves addon listing data' };
+}
 
-  // 3. Puppeteer
-  try {
-    const versions = await fetchFromPuppeteer(browser, pageUrl, plugin.name, progressCallback);
-    return { versions, method: 'puppeteer' };
-  } catch (e) {
-    errors.push(`puppeteer: ${e.message}`);
+/** Cloud readiness of a listing; one that could not be read is reported as category 'unknown' */
+function cloudReadinessOf({ listing, error }) {
+  if (listing) {
+    try {
+      return parseCloudReadiness(listing);
+    } catch (e) {
+      error = e.message;
+    }
   }
+  return { category: CLOUD_CATEGORIES.UNKNOWN, cloudAvailable: null, error };
+}
 
-  throw new Error(`All methods failed:\n • ${errors.join('\n • ')}`);
+/**
+ * DC ranges of a raw version entry, parsing the compatibility text if needed.
+ * Several matching compatibility entries (`compatibilities`) and text with
+ * several clauses ("8.0 - 9.4, 10.0 - 10.3") keep one range each. A null bound
+ * is open-ended; `known` is false when there is no range at all.
+ * @returns {{ ranges: Object[], known: boolean }}
+ */
+function resolveRange(v) {
+  if (Array.isArray(v.compatibilities) && v.compatibilities.length) {
+    const ranges = v.compatibilities.map(c => ({ minVersion: c.minVersion || null, maxVersion: c.maxVersion || null }));
+    return { ranges, known: true };
+  }
+
+  const parsed = parseCompatibilityString(v.compatibility);
+  if (parsed.ranges.length > 1) return { ranges: parsed.ranges, known: true };
+
+  let { minVersion, maxVersion } = v;
+  // Fallback parsing if missing
+  if ((!minVersion || !maxVersion) && parsed.kind !== 'none') {
+    minVersion = parsed.minVersion;
+    maxVersion = parsed.maxVersion;
+  }
+  const known = !!(minVersion || maxVersion);
+  return { ranges: known ? [{ minVersion: minVersion || null, maxVersion: maxVersion || null }] : [], known };
 }
 
-function buildResult(plugin, rawVersions, targetDCVersion, fetchMethod) {
-  const { name: pluginName, marketplaceUrl: pluginUrl, currentVersion } = plugin;
-  const compatibleVersions = [];
-  const parseWarnings = [];
+/** Plugin version strings that run on the given DC version, newest first */
+function versionsCompatibleWith(rawVersions, dcVersion) {
+  return rawVersions
+    .filter(v => isVersionInAnyRange(dcVersion, resolveRange(v).ranges))
+    .map(v => String(v.version))
+    .sort((a, b) => compareVersions(b, a));
+}
 
-  for (const v of rawVersions) {
-    let { minVersion, maxVersion } = v;
+/**
+ * Plan how to move a plugin from the current DC version to the target one.
+ *
+ * strategy:
+ *  - 'none-needed' → installed version already runs on both
+ *  - 'bridge'      → one plugin version runs on both; install it before the platform upgrade
+ *  - 'two-step'    → no overlap; the plugin has to be upgraded again right after the platform
+ *  - 'no-path'     → nothing is compatible with the target yet
+ */
+function planUpgradePath(rawVersions, currentVersion, currentDCVersion, targetDCVersion) {
+  const onCurrent = versionsCompatibleWith(rawVersions, currentDCVersion);
+  const onTarget  = versionsCompatibleWith(rawVersions, targetDCVersion);
+  const targetSet = new Set(onTarget);
+  const bridges   = onCurrent.filter(v => targetSet.has(v));
+  const isNewer   = v => compareVersions(v, currentVersion) > 0;
+
+  const plan = {
+    currentDCVersion,
+    targetDCVersion,
+    strategy:      null,
+    bridgeVersion: bridges[0] || null,
+    steps:         [],
+    message:       ''
+  };
 
-    // Fallback parsing if missing
-    if (!minVersion || !maxVersion) {
-      const parsed = parseCompatibilityString(v.compatibility);
-      minVersion = parsed.minVersion;
-      maxVersion = parsed.maxVersion;
+  if (!onTarget.length) {
+    plan.strategy = 'no-path';
+    plan.message  = `No plugin version supports DC ${targetDCVersion} yet`;
+    return plan;
+  }
+
+  if (bridges.some(v => compareVersions(v, currentVersion) === 0)) {
+    plan.strategy = 'none-needed';
+    plan.message  = `Installed ${currentVersion} runs on both DC ${currentDCVersion} and DC ${targetDCVersion}`;
+  } else if (bridges.length) {
+    plan.strategy = 'bridge';
+    plan.steps.push({
+      when: 'before-platform-upgrade', pluginVersion: bridges[0], required: true,
+      reason: `Runs on both DC ${currentDCVersion} and DC ${targetDCVersion}`
+    });
+    plan.message = `Upgrade to ${bridges[0]} before the platform upgrade`;
+  } else {
+    plan.strategy = 'two-step';
+    if (onCurrent.length && isNewer(onCurrent[0])) {
+      plan.steps.push({
+        when: 'before-platform-upgrade', pluginVersion: onCurrent[0], required: false,
+        reason: `Latest release for DC ${currentDCVersion}`
+      });
+    }
+    plan.steps.push({
+      when: 'after-platform-upgrade', pluginVersion: onTarget[0], required: true,
+      reason: `No release supports both DC ${currentDCVersion} and DC ${targetDCVersion}`
+    });
+    plan.message = `Two-step upgrade: upgrade the platform, then install ${onTarget[0]} straight away`;
+  }
+
+  // A newer release may exist that only targets the new platform
+  const lastStep = plan.steps[plan.steps.length - 1];
+  const installed = lastStep ? lastStep.pluginVersion : currentVersion;
+  if (plan.strategy !== 'two-step' && compareVersions(onTarget[0], installed) > 0) {
+    plan.steps.push({
+      when: 'after-platform-upgrade', pluginVersion: onTarget[0], required: false,
+      reason: `Latest release for DC ${targetDCVersion}`
+    });
+  }
+
+  plan.steps.forEach((step, idx) => { step.order = idx + 1; });
+  return plan;
+}
+
+/**
+ * Notes on versions whose product match is doubtful. Parsed entries carry
+ * `productConfirmed` / `compatibilities`; DOM-scraped text is checked for the
+ * product name.
+ */
+function collectParseWarnings(plugin, rawVersions) {
+  const product = getProduct(plugin.type);
+  const warnings = [];
+  const unconfirmed = [];
+  const multiple = [];
+  const unnamed = [];
+  let unparsed = 0;
+
+  for (const v of rawVersions) {
+    if (v.productConfirmed === false) unconfirmed.push(v.version);
+    if (Array.isArray(v.compatibilities) && v.compatibilities.length > 1) multiple.push(v.version);
+    if (!resolveRange(v).known) { unparsed++; continue; }
+    if (product && v.productConfirmed === undefined && !v.minVersion && v.compatibility &&
+        !String(v.compatibility).toLowerCase().includes(product.label.toLowerCase())) {
+      unnamed.push(v.version);
     }
+  }
 
-    if (!minVersion || !maxVersion) continue;
+  const sample = list => list.slice(0, 5).join(', ') + (list.length > 5 ? ', …' : '');
+  if (product && unconfirmed.length) {
+    warnings.push(`${unconfirmed.length} version(s) list no ${product.label} compatibility entry; ` +
+      `used an entry without an application key (${sample(unconfirmed)})`);
+  }
+  if (multiple.length) {
+    warnings.push(`${multiple.length} version(s) have several matching compatibility entries; ` +
+      `each entry's range was checked separately (${sample(multiple)})`);
+  }
+  if (product && unnamed.length) {
+    warnings.push(`${unnamed.length} version(s) do not mention ${product.label} in their compatibility text ` +
+      `(${sample(unnamed)})`);
+  }
+  if (unparsed) warnings.push(`${unparsed} version(s) have no readable compatibility range and were skipped`);
+  return warnings;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.currentDCVersion] - Adds an upgradePath from this DC version
+ * @param {Object[]} [options.releaseNoteRules] - Rules for releaseNotesAnalysis (default loadReleaseNoteRules())
+ */
+function buildResult(plugin, rawVersions, targetDCVersion, fetchMethod, options = {}) {
+  const { name: pluginName, marketplaceUrl: pluginUrl, currentVersion } = plugin;
+  const compatibleVersions = [];
+  const parseWarnings = collectParseWarnings(plugin, rawVersions);
+
+  for (const v of rawVersions) {
+    const { ranges, known } = resolveRange(v);
+    if (!known) continue;
 
-    if (isVersionInRange(targetDCVersion, minVersion, maxVersion)) {
+    const matched = findMatchingRange(targetDCVersion, ranges);
+    if (matched) {
+      const range = formatRange(matched.minVersion, matched.maxVersion);
       compatibleVersions.push({
         pluginVersion:      v.version,
-        compatibilityRange: `${minVersion} - ${maxVersion}`,
-        compatibility:      v.compatibility || `${minVersion} - ${maxVersion}`,
+        compatibilityRange: range,
+        compatibility:      v.compatibility || range,
         releaseDate:        v.releaseDate    || '',
-        releaseSummary:     v.releaseSummary || ''
+        releaseSummary:     v.releaseSummary || '',
+        applications:       v.applications   || []
       });
     }
   }
@@ -473,68 +632,206 @@ function buildResult(plugin, rawVersions, targetDCVersion, fetchMethod) {
     compatibleVersions,
     compatibleVersionRange,
     recommendedVersion,
+    // The version history itself stays in the version cache: every result of a run is stored
+    // in one CheckRun document, which long histories would push past MongoDB's 16 MB limit
     totalVersionsChecked:   rawVersions.length,
-    allVersions:            rawVersions,
+    upgradePath:            options.currentDCVersion
+      ? planUpgradePath(rawVersions, currentVersion, options.currentDCVersion, targetDCVersion)
+      : null,
+    // What an upgrade to recommendedVersion skips over (security fixes, breaking changes, ...)
+    releaseNotesAnalysis:   analyzeReleaseNotes(rawVersions, currentVersion, recommendedVersion, {
+      rules: options.releaseNoteRules
+    }),
     parseWarnings,
     error: null
   };
 }
 
+/**
+ * Accepts "9.4", "9.4, 9.12,10.3" or ['9.4', '9.12'] and returns a
+ * de-duplicated list of trimmed version strings in input order.
+ */
+function parseTargetVersions(targetDCVersion) {
+  const list = Array.isArray(targetDCVersion)
+    ? targetDCVersion
+    : String(targetDCVersion || '').split(',');
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/** Per-target slice of a buildResult() used for the version matrix */
+function toTargetResult(result) {
+  return {
+    targetDCVersion:        result.targetDCVersion,
+    compatible:             result.compatible,
+    compatibleVersions:     result.compatibleVersions,
+    compatibleVersionRange: result.compatibleVersionRange,
+    recommendedVersion:     result.recommendedVersion,
+    upgradePath:            result.upgradePath || null,
+    releaseNotesAnalysis:   result.releaseNotesAnalysis || null,
+    error:                  result.error
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  PUBLIC API
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function checkCompatibility(plugins, targetDCVersion, progressCallback) {
+/**
+ * @param {Array}           plugins         - { name, marketplaceUrl, currentVersion }
+ * @param {string|string[]} targetDCVersion - One version, or several (array or
+ *   comma-separated). With several, the version history is fetched once per
+ *   plugin and evaluated against each target: top-level fields describe the
+ *   first target and `targetResults` holds one entry per target.
+ * @param {Function}        progressCallback
+ * @param {Object}          [options]
+ * @param {string}          [options.currentDCVersion] - Plan a staged upgrade from this DC version
+ * @param {Object}          [options.cache] - { get(plugin), set(plugin, { versions, method, cloud, marketplaceInfo }) }
+ *   for raw version histories; get() resolves to { versions, method, cloud, marketplaceInfo, fetchedAt } or null
+ * @param {boolean}         [options.refresh] - Ignore cached histories (they are still rewritten)
+ * @param {boolean}         [options.browserFallback] - Allow the Puppeteer tier
+ *   (default: PUPPETEER_FALLBACK env, enabled unless set to "false")
+ * @param {string|string[]} [options.providers] - Version-source order
+ *   (default VERSION_PROVIDERS env or initial-state,rest-api,puppeteer)
+ * @param {string}          [options.fixtureDir] - Recorded payloads for the 'fixture' provider
+ * @param {string}          [options.productType] - Product registry key for plugins without a `type`;
+ *   selects whose compatibility entry is read (e.g. JSM rather than Jira core)
+ * @param {number}          [options.concurrency] - Plugins checked in parallel
+ *   (default CHECK_CONCURRENCY env or 3). Results always keep the input order.
+ * @param {boolean}         [options.cloudReadiness=true] - Also read each addon's listing: Cloud hosting
+ *   and migration path into `result.cloud` (see parseCloudReadiness()). Vendor, support, DC approval
+ *   and end of DC support go to `result.marketplaceInfo` (see parseMarketplaceInfo()); without the
+ *   listing they come from the version-history page alone.
+ * @param {Function}        [options.onResult] - async (result, index) => void, called as each
+ *   plugin finishes (completion order, not input order)
+ * @param {number}          [options.deadline] - Epoch ms after which no further plugin is started;
+ *   plugins already running finish normally. Skipped plugins have a null result.
+ * @param {AbortSignal}     [options.signal] - Cancels the check: no further plugin is started, the
+ *   browser is closed at once and plugins that fail afterwards get a null result instead of an error
+ */
+async function checkCompatibility(plugins, targetDCVersion, progressCallback, options = {}) {
   if (!progressCallback) progressCallback = () => {};
-
-  progressCallback('Launching browser (used only as final fallback)...');
-  const browser = await puppeteer.launch({
-    args:            chromium.args,
-    defaultViewport: chromium.defaultViewport,
-    executablePath:  await chromium.executablePath(),
-    headless:        chromium.headless,
+  const { currentDCVersion = null, cache = null, refresh = false } = options;
+  const concurrency = Math.max(1, parseInt(options.concurrency || process.env.CHECK_CONCURRENCY, 10) || DEFAULT_CONCURRENCY);
+
+  const targets = parseTargetVersions(targetDCVersion);
+  if (!targets.length) throw new Error('At least one target DC version is required');
+  const isMatrix = targets.length > 1;
+  const providers = resolveProviderOrder(options.providers);
+  const withCloud = options.cloudReadiness !== false;
+  // Cached for the life of the process (edits to RELEASE_NOTES_RULES need a restart);
+  // a broken file falls back to the defaults
+  const releaseNoteRules = loadReleaseNoteRules();
+
+  // Chromium is only started if some plugin falls through to the Puppeteer tier
+  const browserProvider = createBrowserProvider(progressCallback, {
+    enabled: options.browserFallback !== undefined ? !!options.browserFallback : isBrowserFallbackEnabled()
   });
 
-  const results = [];
-
-  for (let i = 0; i < plugins.length; i++) {
-    const plugin = plugins[i];
+  const { signal, deadline } = options;
+  const isCancelled = () => !!(signal && signal.aborted);
+  const onCancel = () => {
+    progressCallback('Check cancelled; stopping...');
+    browserProvider.close();
+  };
+  if (signal) signal.addEventListener('abort', onCancel, { once: true });
+
+  const checkOne = async (plugin, i) => {
+    if (isCancelled() || (deadline && Date.now() >= deadline)) return null;
+    if (!plugin.type && options.productType) plugin = { ...plugin, type: options.productType };
+    // With several workers, per-method lines are tagged so interleaved output stays readable
+    const log = Math.min(concurrency, plugins.length) > 1
+      ? msg => progressCallback(msg.replace(/^\s+/, `  [${plugin.name}] `))
+      : progressCallback;
     progressCallback(`[${i + 1}/${plugins.length}] Processing: ${plugin.name}`);
 
     let result;
     try {
-      const { versions, method } = await fetchAllVersions(browser, plugin, progressCallback);
-      result = buildResult(plugin, versions, targetDCVersion, method);
-      progressCallback(`  ✓ Found ${result.compatibleVersions.length} compatible versions`);
+      const cached = cache && !refresh ? await cache.get(plugin) : null;
+      const fetchContext = { browserProvider, progressCallback: log, fixtureDir: options.fixtureDir };
+      let versions, method, cloud, marketplaceInfo, pageListing = null;
+      if (cached) {
+        ({ versions, method, cloud, marketplaceInfo } = cached);
+        log(`  ⚡ Served from cache (fetched ${new Date(cached.fetchedAt).toISOString()} via ${method})`);
+      } else {
+        ({ versions, method, listing: pageListing } = await fetchAllVersions(providers, plugin, fetchContext));
+      }
+      // Entries cached before Cloud readiness / vendor metadata existed lack them; those are read on their own
+      if ((withCloud && !cloud) || !marketplaceInfo) {
+        const listing = withCloud ? await fetchAddonListing(providers, plugin, fetchContext) : { listing: null };
+        if (withCloud && !cloud) {
+          cloud = cloudReadinessOf(listing);
+          if (cloud.error) log(`  ⚠ Cloud readiness unavailable: ${cloud.error}`);
+        }
+        marketplaceInfo = parseMarketplaceInfo([listing.listing, pageListing], versions);
+      }
+      if (cache && !cached) await cache.set(plugin, { versions, method, cloud, marketplaceInfo });
+
+      const perTarget = targets.map(t => buildResult(plugin, versions, t, method, { currentDCVersion, releaseNoteRules }));
+      result = perTarget[0];
+      result.fromCache = !!cached;
+      result.fetchedAt = cached ? cached.fetchedAt : new Date();
+      result.cloud = cloud || null;
+      result.marketplaceInfo = marketplaceInfo;
+      if (isMatrix) {
+        result.targetResults = perTarget.map(toTargetResult);
+        log(`  ✓ Compatible versions per target: ` +
+          perTarget.map(r => `DC ${r.targetDCVersion}: ${r.compatibleVersions.length}`).join(', '));
+      } else {
+        log(`  ✓ Found ${result.compatibleVersions.length} compatible versions`);
+      }
+      if (result.upgradePath) log(`  ↪ Upgrade path: ${result.upgradePath.message}`);
+      for (const w of result.parseWarnings) log(`  ⚠ ${w}`);
     } catch (err) {
-      progressCallback(`  ✗ Error: ${err.message}`);
-      result = {
+      // Failures caused by the cancellation (e.g. the browser closing under it) are not results
+      if (isCancelled()) return null;
+      log(`  ✗ Error: ${err.message}`);
+      const failed = t => ({
         pluginName:             plugin.name,
         pluginUrl:              plugin.marketplaceUrl,
         currentVersion:         plugin.currentVersion,
-        targetDCVersion,
+        targetDCVersion:        t,
         fetchMethod:            'failed',
         compatible:             null,
         compatibleVersions:     [],
         compatibleVersionRange: null,
         recommendedVersion:     null,
+        upgradePath:            null,
+        releaseNotesAnalysis:   null,
+        parseWarnings:          [],
+        cloud:                  null,
+        marketplaceInfo:        null,
         error:                  err.message
-      };
+      });
+      result = failed(targets[0]);
+      if (isMatrix) result.targetResults = targets.map(t => toTargetResult(failed(t)));
     }
+    if (options.onResult) await options.onResult(result, i);
+    return result;
+  };
 
-    results.push(result);
-    if (i < plugins.length - 1) await new Promise(r => setTimeout(r, 2000));
+  // Pacing against the Marketplace is handled per request by the host rate limiter
+  let results;
+  try {
+    results = await mapWithConcurrency(plugins, concurrency, checkOne);
+  } finally {
+    if (signal) signal.removeEventListener('abort', onCancel);
+    await browserProvider.close();
   }
-
-  await browser.close();
   return results;
 }
 
 module.exports = {
   checkCompatibility,
+  buildResult,
+  registerProvider,
   compareVersions,
   isVersionInRange,
   parseCompatibilityString,
+  parseTargetVersions,
+  planUpgradePath,
   normalizeVersionHistoryUrl,
-  extractAddonIdentifiers
+  extractAddonIdentifiers,
+  marketplaceBaseUrl,
+  MARKETPLACE_ORIGIN,
+  httpGet
 };
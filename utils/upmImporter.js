@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * UPM (Universal Plugin Manager) Import
+ * =====================================
+ *
+ * Turns the JSON returned by an instance's GET /rest/plugins/1.0/ into
+ * Plugin documents:
+ *
+ * 1. Drop system / bundled plugins (userInstalled === false)
+ * 2. Resolve each app key against the Marketplace REST API
+ *    GET /rest/2/addons/{appKey} → addon ID + slug
+ * 3. Build a Marketplace URL that extractAddonIdentifiers() understands
+ *
+ * Lookups go to MARKETPLACE_BASE_URL like the scraper's; stored URLs always
+ * name the real Marketplace. An app listed twice is imported once.
+ */
+
+const { httpGet, extractAddonIdentifiers, marketplaceBaseUrl, MARKETPLACE_ORIGIN } = require('./scraper');
+const { mapWithConcurrency } = require('./concurrency');
+
+const LOOKUP_CONCURRENCY = 5;
+
+/** Accepts the raw UPM body ({ plugins: [...] }) or a bare array */
+function parseUpmExport(upm) {
+  if (typeof upm === 'string') {
+    try {
+      upm = JSON.parse(upm);
+    } catch (_) {
+      throw new Error('UPM export is not valid JSON');
+    }
+  }
+  const list = Array.isArray(upm) ? upm : (upm && upm.plugins);
+  if (!Array.isArray(list)) throw new Error('UPM export must contain a "plugins" array');
+  return list;
+}
+
+function isSystemPlugin(p) {
+  // UPM marks everything shipped with the product as not user-installed
+  if (p.userInstalled === false) return true;
+  if (p.userInstalled !== true && (p.bundled === true || p.static === true)) return true;
+  return false;
+}
+
+/** Pull an addon ID and slug out of the Marketplace /rest/2/addons/{key} response */
+function addonUrlFromMarketplace(addon) {
+  const links = addon._links || {};
+  const candidates = [
+    links.alternate && links.alternate.href,
+    links.self && links.self.href
+  ].filter(Boolean);
+
+  for (const href of candidates) {
+    const abs = href.startsWith('http') ? href : MARKETPLACE_ORIGIN + href;
+    const { id, slug } = extractAddonIdentifiers(abs);
+    if (id) return `${MARKETPLACE_ORIGIN}/apps/${id}${slug ? '/' + slug : ''}`;
+  }
+
+  const id = addon.id || (addon._embedded && addon._embedded.addon && addon._embedded.addon.id);
+  if (id && /^\d+$/.test(String(id))) {
+    const slug = addon.slug || null;
+    return `${MARKETPLACE_ORIGIN}/apps/${id}${slug ? '/' + slug : ''}`;
+  }
+  return null;
+}
+
+async function lookupMarketplaceUrl(appKey) {
+  const body = await httpGet(`${marketplaceBaseUrl()}/rest/2/addons/${encodeURIComponent(appKey)}`);
+  const url = addonUrlFromMarketplace(JSON.parse(body));
+  if (!url) throw new Error('Marketplace listing has no addon ID');
+  return url;
+}
+
+/**
+ * @param {Object|Array|string} upm - UPM export
+ * @param {string} type - Product type the inventory belongs to
+ * @param {Object} [options]
+ * @param {Set<string>} [options.existingKeys] - App keys / addon IDs already in the inventory
+ * @param {Function} [options.lookup] - appKey → Marketplace URL (defaults to the live Marketplace)
+ * @returns {Promise<{ plugins: Object[], unmatched: Object[], skipped: Object[] }>}
+ */
+async function importFromUpm(upm, type, options = {}) {
+  const existingKeys = options.existingKeys || new Set();
+  const lookup = options.lookup || lookupMarketplaceUrl;
+  const entries = parseUpmExport(upm);
+
+  const plugins = [];
+  const unmatched = [];
+  const skipped = [];
+  const candidates = [];
+  const seenKeys = new Set();
+
+  for (const p of entries) {
+    const key = p && p.key;
+    if (!key) continue;
+    if (isSystemPlugin(p)) continue;
+    if (seenKeys.has(key)) {
+      skipped.push({ key, name: p.name || key, reason: 'Listed more than once in the export' });
+      continue;
+    }
+    seenKeys.add(key);
+    if (!p.version) {
+      unmatched.push({ key, name: p.name || key, version: null, reason: 'No installed version in export' });
+      continue;
+    }
+    if (existingKeys.has(key)) {
+      skipped.push({ key, name: p.name || key, reason: 'Already in inventory' });
+      continue;
+    }
+    candidates.push(p);
+  }
+
+  const lookups = await mapWithConcurrency(candidates, LOOKUP_CONCURRENCY, p =>
+    lookup(p.key).then(url => ({ url }), err => ({ error: err.message }))
+  );
+
+  const importedIds = new Set();
+  candidates.forEach((p, idx) => {
+    const { url, error } = lookups[idx];
+    const name = p.name || p.key;
+    if (!url) {
+      unmatched.push({ key: p.key, name, version: p.version, reason: error || 'Not found on Marketplace' });
+      return;
+    }
+    const { id } = extractAddonIdentifiers(url);
+    if (existingKeys.has(id)) {
+      skipped.push({ key: p.key, name, reason: 'Already in inventory' });
+      return;
+    }
+    if (importedIds.has(id)) {
+      skipped.push({ key: p.key, name, reason: `Same Marketplace app (${id}) as another entry in the export` });
+      return;
+    }
+    importedIds.add(id);
+    plugins.push({
+      type,
+      name,
+      appKey: p.key,
+      marketplaceUrl: url,
+      currentVersion: String(p.version),
+      notes: p.vendor && p.vendor.name ? `Vendor: ${p.vendor.name}` : undefined
+    });
+  });
+
+  return { plugins, unmatched, skipped };
+}
+
+module.exports = { importFromUpm, parseUpmExport, isSystemPlugin };
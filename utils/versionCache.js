@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Mongo-backed cache of raw version histories for checkCompatibility().
+ *
+ * Entries older than VERSION_CACHE_TTL_HOURS (default 24) are treated as
+ * missing and overwritten by the next successful fetch.
+ */
+
+const VersionCache = require('../models/VersionCache');
+const { extractAddonIdentifiers, normalizeVersionHistoryUrl } = require('./scraper');
+
+const DEFAULT_TTL_HOURS = 24;
+
+function cacheTtlMs() {
+  const hours = parseFloat(process.env.VERSION_CACHE_TTL_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/** Histories are filtered per product, so the product type is part of the key */
+function cacheKey(plugin) {
+  const prefix = plugin.type ? `${plugin.type}:` : '';
+  const { id, slug } = extractAddonIdentifiers(plugin.marketplaceUrl);
+  if (id) return `${prefix}id:${id}`;
+  if (slug) return `${prefix}slug:${slug}`;
+  return `${prefix}url:${normalizeVersionHistoryUrl(plugin.marketplaceUrl)}`;
+}
+
+/**
+ * Cache adapter in the shape checkCompatibility() expects.
+ * Failures are swallowed: a broken cache must never fail a check.
+ */
+const versionCache = {
+  async get(plugin) {
+    const ttl = cacheTtlMs();
+    if (ttl === 0) return null;
+    try {
+      const entry = await VersionCache.findOne({ key: cacheKey(plugin) }).lean();
+      if (!entry || Date.now() - new Date(entry.fetchedAt).getTime() > ttl) return null;
+      return {
+        versions: entry.versions,
+        method: entry.method,
+        cloud: entry.cloud || null,
+        marketplaceInfo: entry.marketplaceInfo || null,
+        fetchedAt: entry.fetchedAt
+      };
+    } catch (_) {
+      return null;
+    }
+  },
+
+  async set(plugin, { versions, method, cloud = null, marketplaceInfo = null }) {
+    try {
+      await VersionCache.updateOne(
+        { key: cacheKey(plugin) },
+        { $set: { versions, method, cloud, marketplaceInfo, fetchedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (_) {}
+  }
+};
+
+module.exports = { versionCache, cacheKey };
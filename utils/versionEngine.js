@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Version Engine
+ * ==============
+ *
+ * Ordering of Atlassian / plugin version strings and a small grammar for the
+ * compatibility text the Marketplace shows.
+ *
+ * ORDERING
+ *   1.2 < 1.10 < 1.10.1                      numeric segments, missing = 0
+ *   10.0.0-m0003 < 10.0.0-rc1 < 10.0.0       pre-release tags sort before the release
+ *   8 < 8a                                   other letter suffixes sort after
+ *
+ *   Pre-release ranks: snapshot < alpha < beta < milestone (m0003) < eap < rc/cr < release.
+ *   Any other qualifier ("-jira9", "-hotfix1") sorts after the plain release.
+ *
+ * RANGES (one or more clauses, separated by "," ";" or "or")
+ *   "8.0 - 9.4", "8.0 to 9.4"                closed range
+ *   "8.5 and later", "8.5+", "from 8.5"      open-ended maximum
+ *   "up to 9.4", "9.4 and earlier"           open-ended minimum
+ *   "9.x", "9.4.*"                           wildcard
+ *   "Jira 9.4 only", "9.4"                   single version
+ *
+ *   A maximum with fewer segments covers every version below it: max "9.4"
+ *   includes 9.4.7, max "9" (from "9.x") includes 9.12. Several clauses stay
+ *   separate ranges: "8.0 - 9.4, 10.0 - 10.3" does not cover 9.8.
+ */
+
+/** Matches dotted version tokens including alphanumeric segments */
+const VERSION_TOKEN_RE = /[0-9][0-9a-zA-Z]*(?:\.[0-9a-zA-Z]+)+|[a-zA-Z][0-9a-zA-Z]*(?:\.[0-9a-zA-Z]+)+/g;
+
+// A version inside compatibility text: 9 / 9.4 / 9.x / 10.0.0-rc1 / 8.20.0-m0003
+const V = '(\\d+(?:\\.(?:\\d+[0-9a-z]*|x|\\*))*(?:-[a-z][0-9a-z.]*)?)';
+
+const RANGE_PATTERNS = [
+  { kind: 'range',    re: new RegExp(`${V}\\s*(?:-|–|—|to|through|thru)\\s*${V}`) },
+  { kind: 'range',    re: new RegExp(`between\\s+${V}\\s+and\\s+${V}`) },
+  { kind: 'open-max', re: new RegExp(`${V}\\s*(?:\\+|and\\s+(?:later|newer|above|higher|up)|or\\s+(?:later|newer|above|higher)|onwards?)`) },
+  { kind: 'open-max', re: new RegExp(`(?:from|since|>=|≥)\\s*${V}`) },
+  { kind: 'open-min', re: new RegExp(`(?:up\\s+to|until|<=|≤)\\s*${V}`) },
+  { kind: 'open-min', re: new RegExp(`${V}\\s*(?:and|or)\\s+(?:earlier|older|below|lower|prior)`) }
+];
+
+const PRE_RELEASE_RANKS = [
+  { re: /^(?:snapshot|dev)\d*$/, rank: -6 },
+  { re: /^(?:alpha|a)\d+$|^alpha$/, rank: -5 },
+  { re: /^(?:beta|b)\d+$|^beta$/, rank: -4 },
+  { re: /^(?:milestone|m)\d+$|^milestone$/, rank: -3 },
+  { re: /^eap\d*$/, rank: -2 },
+  { re: /^(?:rc|cr)\d*$/, rank: -1 }
+];
+const RELEASE_RANK = 0;
+const POST_RELEASE_RANK = 1;
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ORDERING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function qualifierRank(text) {
+  if (!text) return RELEASE_RANK;
+  const compact = text.replace(/[-_.]/g, '');
+  if (['ga', 'final', 'release'].includes(compact)) return RELEASE_RANK;
+  const hit = PRE_RELEASE_RANKS.find(p => p.re.test(compact));
+  return hit ? hit.rank : POST_RELEASE_RANK;
+}
+
+function parseSegment(seg) {
+  seg = String(seg || '').trim().toLowerCase();
+  const m = seg.match(/^(\d*)(.*)$/);
+  return { num: m[1].length ? parseInt(m[1], 10) : 0, alpha: m[2] };
+}
+
+/** Plain letter suffixes ("8a") sort after the number; pre-release tags ("0rc1") before */
+function alphaRank(alpha) {
+  if (!alpha) return RELEASE_RANK;
+  const rank = qualifierRank(alpha);
+  return rank < RELEASE_RANK ? rank : POST_RELEASE_RANK;
+}
+
+function compareQualifiers(a, b) {
+  // "-GA" / "-final" name the release itself
+  if (a && qualifierRank(a) === RELEASE_RANK) a = '';
+  if (b && qualifierRank(b) === RELEASE_RANK) b = '';
+  if (a === b) return 0;
+  const ra = alphaRank(a);
+  const rb = alphaRank(b);
+  if (ra !== rb) return ra < rb ? -1 : 1;
+  // Same rank: compare the trailing build number numerically (rc2 < rc10), then text
+  const na = parseInt((a.match(/(\d+)$/) || [])[1] || '0', 10);
+  const nb = parseInt((b.match(/(\d+)$/) || [])[1] || '0', 10);
+  if (na !== nb) return na < nb ? -1 : 1;
+  return a < b ? -1 : 1;
+}
+
+function compareSegments(sa, sb) {
+  if (sa.num !== sb.num) return sa.num < sb.num ? -1 : 1;
+  return compareQualifiers(sa.alpha, sb.alpha);
+}
+
+/** "10.0.0-rc1" → { segments: [10, 0, 0], qualifier: 'rc1' } */
+function parseVersion(vstr) {
+  const text = String(vstr || '').trim().toLowerCase();
+  if (!text) return { segments: [{ num: 0, alpha: '' }], qualifier: '' };
+  const dash = text.search(/[-_+~]/);
+  const main = dash >= 0 ? text.slice(0, dash) : text;
+  const qualifier = dash >= 0 ? text.slice(dash + 1) : '';
+  return { segments: main.split('.').map(parseSegment), qualifier };
+}
+
+function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+  const len = Math.max(va.segments.length, vb.segments.length);
+  const pad = { num: 0, alpha: '' };
+  for (let i = 0; i < len; i++) {
+    const c = compareSegments(va.segments[i] || pad, vb.segments[i] || pad);
+    if (c !== 0) return c;
+  }
+  return compareQualifiers(va.qualifier, vb.qualifier);
+}
+
+/** max "9.4" covers 9.4.7; max "9" covers 9.12 */
+function isCoveredByShorterMax(target, maxVer) {
+  const vt = parseVersion(target);
+  const vm = parseVersion(maxVer);
+  if (vm.qualifier || vm.segments.length >= vt.segments.length) return false;
+  return vm.segments.every((seg, i) => compareSegments(seg, vt.segments[i]) === 0);
+}
+
+/**
+ * @param {string} target
+ * @param {string|null} minVer - null = no lower bound
+ * @param {string|null} maxVer - null = no upper bound
+ */
+function isVersionInRange(target, minVer, maxVer) {
+  if (!target || (!minVer && !maxVer)) return false;
+  if (minVer && compareVersions(target, minVer) < 0) return false;
+  if (maxVer && compareVersions(target, maxVer) > 0 && !isCoveredByShorterMax(target, maxVer)) return false;
+  return true;
+}
+
+/**
+ * The first range that contains the target, or null.
+ * @param {Object[]} ranges - [{ minVersion, maxVersion }] as in parseCompatibilityString().ranges
+ */
+function findMatchingRange(target, ranges) {
+  return (ranges || []).find(r => isVersionInRange(target, r.minVersion, r.maxVersion)) || null;
+}
+
+function isVersionInAnyRange(target, ranges) {
+  return !!findMatchingRange(target, ranges);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  RANGE GRAMMAR
+// ═══════════════════════════════════════════════════════════════════════════
+
+function extractVersionTokens(text) {
+  if (!text) return [];
+  VERSION_TOKEN_RE.lastIndex = 0;
+  return (String(text).match(VERSION_TOKEN_RE) || []).filter(t => t.includes('.'));
+}
+
+/** "9.x" / "9.4.*" → "9" / "9.4"; the shorter bound then acts as a prefix */
+function stripWildcard(v) {
+  return v.replace(/(?:\.(?:x|\*))+(?=$|-)/, '');
+}
+
+function parseClause(clause) {
+  for (const { kind, re } of RANGE_PATTERNS) {
+    const m = clause.match(re);
+    if (!m) continue;
+    if (kind === 'range') {
+      let [min, max] = [stripWildcard(m[1]), stripWildcard(m[2])];
+      if (compareVersions(min, max) > 0) [min, max] = [max, min]; // safety swap
+      return { kind, min, max };
+    }
+    if (kind === 'open-max') return { kind, min: stripWildcard(m[1]), max: null };
+    return { kind, min: null, max: stripWildcard(m[1]) };
+  }
+
+  const wildcard = clause.match(/(\d+(?:\.\d+)*)\.(?:x|\*)/);
+  if (wildcard) return { kind: 'wildcard', min: wildcard[1], max: wildcard[1] };
+
+  // Fallback: first and last dotted tokens, as the original parser did
+  const tokens = extractVersionTokens(clause);
+  if (!tokens.length) return null;
+  if (tokens.length === 1) return { kind: 'exact', min: tokens[0], max: tokens[0] };
+  let [min, max] = [tokens[0], tokens[tokens.length - 1]];
+  if (compareVersions(min, max) > 0) [min, max] = [max, min]; // safety swap
+  return { kind: 'range', min, max };
+}
+
+function splitClauses(text) {
+  return text
+    .split(/[,;\n|]|\bor\b(?!\s+(?:later|newer|above|higher|earlier|older|below|lower|prior))/)
+    .map(c => c.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse Marketplace compatibility text.
+ * @returns {{ minVersion: string|null, maxVersion: string|null, ranges: Object[], kind: string,
+ *             clauses: Object[], rawText: string }}
+ *   ranges holds one { minVersion, maxVersion } per clause and is what
+ *   compatibility is matched against; minVersion / maxVersion span all clauses
+ *   and are for display only. kind is 'none' when nothing could be parsed; a
+ *   null bound on a parsed range means "unbounded".
+ */
+function parseCompatibilityString(text) {
+  const rawText = String(text || '').trim();
+  const none = { minVersion: null, maxVersion: null, ranges: [], kind: 'none', clauses: [], rawText };
+  if (!rawText) return none;
+
+  const clauses = splitClauses(rawText.toLowerCase()).map(parseClause).filter(Boolean);
+  if (!clauses.length) return none;
+
+  // Span of all clauses; any unbounded side stays unbounded
+  let minVersion = clauses[0].min;
+  let maxVersion = clauses[0].max;
+  for (const c of clauses.slice(1)) {
+    minVersion = minVersion === null || c.min === null ? null
+      : (compareVersions(c.min, minVersion) < 0 ? c.min : minVersion);
+    maxVersion = maxVersion === null || c.max === null ? null
+      : (compareVersions(c.max, maxVersion) > 0 ? c.max : maxVersion);
+  }
+
+  return {
+    minVersion,
+    maxVersion,
+    ranges: clauses.map(c => ({ minVersion: c.min, maxVersion: c.max })),
+    kind: clauses.length === 1 ? clauses[0].kind : 'union',
+    clauses,
+    rawText
+  };
+}
+
+/** Human-readable form of a (possibly open-ended) range */
+function formatRange(minVersion, maxVersion) {
+  if (minVersion && maxVersion) return minVersion === maxVersion ? minVersion : `${minVersion} - ${maxVersion}`;
+  if (minVersion) return `${minVersion}+`;
+  if (maxVersion) return `up to ${maxVersion}`;
+  return '';
+}
+
+module.exports = {
+  compareVersions,
+  isVersionInRange,
+  isVersionInAnyRange,
+  findMatchingRange,
+  parseCompatibilityString,
+  extractVersionTokens,
+  formatRange
+};
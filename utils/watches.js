@@ -0,0 +1,274 @@
+'use strict';
+
+/**
+ * Scheduled watches
+ * =================
+ *
+ * A Watch re-checks a plugin set against one target DC version every
+ * `intervalMinutes`. Each due watch becomes an ordinary check job
+ * (utils/checkJobs.js, runBy "watch:<name>"); when that job completes, its
+ * results are compared with the state stored on the watch and the recipients
+ * are notified when
+ *
+ *   - a plugin without compatible versions now has one   ('compatible_version_available')
+ *   - a plugin's recommended version changed             ('recommended_version_changed')
+ *
+ * The first completed run only records the baseline. A plugin whose check
+ * errored keeps its previous state, so a Marketplace outage does not notify.
+ *
+ *   startWatchScheduler()  → in-process timer (WATCH_SCHEDULER, default as JOB_BACKGROUND)
+ *   tickWatches()          → one pass: start due watches, then advance their jobs
+ *                            within the chunk budget (GET /api/cron/watches, which
+ *                            requires "Authorization: Bearer $CRON_SECRET"; on
+ *                            Vercel the cron in vercel.json calls it every minute)
+ */
+
+const Watch = require('../models/Watch');
+const CheckRun = require('../models/CheckRun');
+const { isValidProductType, invalidProductTypeMessage } = require('./products');
+const { parseTargetVersions } = require('./scraper');
+const { sendNotifications } = require('./notifications');
+const {
+  createCheckJob, onJobFinished, processJobChunk, driveInBackground, isBackgroundEnabled, chunkBudgetMs
+} = require('./checkJobs');
+
+const MIN_INTERVAL_MINUTES = 15;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const TICK_INTERVAL_MS = 60 * 1000;
+// Upper bound of watches started by one tick; the rest are due on the next
+const MAX_WATCHES_PER_TICK = 50;
+
+function isSchedulerEnabled() {
+  const flag = process.env.WATCH_SCHEDULER;
+  if (flag !== undefined && flag !== '') return !['false', '0', 'off', 'no'].includes(flag.toLowerCase());
+  return isBackgroundEnabled();
+}
+
+/**
+ * Validated watch fields from a request body.
+ * @param {boolean} [options.partial] - Only fields present in the body (updates)
+ * @throws {Error} with a message suitable for a 400 response
+ */
+function parseWatchInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  const has = key => body[key] !== undefined;
+
+  if (!partial || has('name')) {
+    const name = String(body.name || '').trim();
+    if (!name) throw new Error('name is required.');
+    fields.name = name;
+  }
+  if (!partial || has('type')) {
+    if (!isValidProductType(body.type)) throw new Error(invalidProductTypeMessage());
+    fields.type = body.type;
+  }
+  if (!partial || has('targetDCVersion')) {
+    const targets = parseTargetVersions(body.targetDCVersion || '');
+    if (targets.length !== 1) throw new Error('targetDCVersion must be a single DC version.');
+    fields.targetDCVersion = targets[0];
+  }
+  if (has('pluginIds')) {
+    const ids = Array.isArray(body.pluginIds) ? body.pluginIds : String(body.pluginIds || '').split(',');
+    fields.pluginIds = ids.map(id => String(id).trim()).filter(Boolean);
+    if (fields.pluginIds.some(id => !/^[0-9a-f]{24}$/i.test(id))) throw new Error('pluginIds must be plugin IDs.');
+  }
+  if (!partial || has('intervalMinutes')) {
+    const minutes = has('intervalMinutes') ? Number(body.intervalMinutes) : DEFAULT_INTERVAL_MINUTES;
+    if (!Number.isFinite(minutes) || minutes < MIN_INTERVAL_MINUTES) {
+      throw new Error(`intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}.`);
+    }
+    fields.intervalMinutes = Math.round(minutes);
+  }
+  if (has('enabled')) fields.enabled = body.enabled === true || body.enabled === 'true';
+  if (has('recipients')) {
+    const list = Array.isArray(body.recipients) ? body.recipients : String(body.recipients || '').split(',');
+    fields.recipients = [...new Set(list.map(u => String(u).trim().toLowerCase()).filter(Boolean))];
+  }
+  return fields;
+}
+
+function nextRunFrom(date, watch) {
+  return new Date(date.getTime() + watch.intervalMinutes * 60 * 1000);
+}
+
+/**
+ * Start a check job for a watch. Only one run per watch is in flight at a time.
+ * @returns {Promise<{ run: Object|null, skipped?: string }>}
+ */
+async function startWatchRun(watch) {
+  if (watch.lastRunId) {
+    const previous = await CheckRun.findById(watch.lastRunId).select('status').lean();
+    if (previous && ['queued', 'running'].includes(previous.status)) {
+      return { run: null, skipped: 'The previous run of this watch is still in progress.' };
+    }
+  }
+
+  const now = new Date();
+  const run = await createCheckJob({
+    type: watch.type,
+    targets: [watch.targetDCVersion],
+    pluginIds: watch.pluginIds.map(String),
+    runBy: `watch:${watch.name}`,
+    watchId: watch._id
+  });
+
+  await Watch.updateOne({ _id: watch._id }, {
+    $set: {
+      lastRunAt: now,
+      lastRunId: run ? run._id : watch.lastRunId,
+      lastError: run ? null : 'No plugins matched this watch.',
+      nextRunAt: nextRunFrom(now, watch)
+    }
+  });
+  if (!run) return { run: null, skipped: 'No plugins matched this watch.' };
+
+  driveInBackground(run._id);
+  return { run };
+}
+
+/** Atomically push due watches' nextRunAt forward so concurrent ticks do not start them twice */
+async function claimDueWatches(now = new Date()) {
+  const claimed = [];
+  while (claimed.length < MAX_WATCHES_PER_TICK) {
+    const watch = await Watch.findOneAndUpdate(
+      { enabled: true, nextRunAt: { $lte: now } },
+      [{ $set: { nextRunAt: { $add: [now, { $multiply: ['$intervalMinutes', 60 * 1000] }] } } }],
+      { new: true }
+    );
+    if (!watch) break;
+    claimed.push(watch);
+  }
+  return claimed;
+}
+
+/**
+ * Start due watches and, with `advance`, process chunks of unfinished watch
+ * jobs until the chunk budget is used (for cron-triggered serverless calls).
+ * @returns {Promise<{ started: string[], skipped: Object[], advanced: number }>}
+ */
+async function tickWatches({ advance = false, budgetMs = chunkBudgetMs() } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const started = [];
+  const skipped = [];
+
+  for (const watch of await claimDueWatches()) {
+    try {
+      const outcome = await startWatchRun(watch);
+      if (outcome.run) started.push(String(outcome.run._id));
+      else skipped.push({ watchId: String(watch._id), reason: outcome.skipped });
+    } catch (err) {
+      await Watch.updateOne({ _id: watch._id }, { $set: { lastError: err.message } }).catch(() => {});
+      skipped.push({ watchId: String(watch._id), reason: err.message });
+    }
+  }
+
+  let advanced = 0;
+  if (advance) {
+    const pending = await CheckRun.find({ watchId: { $ne: null }, status: { $in: ['queued', 'running'] } })
+      .select('_id').sort({ startedAt: 1 }).lean();
+    for (const run of pending) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+      const outcome = await processJobChunk(run._id, { budgetMs: remaining });
+      if (outcome.claimed) advanced++;
+    }
+  }
+  return { started, skipped, advanced };
+}
+
+/**
+ * Compare a completed run with the watch's stored state.
+ * @returns {{ state: Object[], changes: Object[] }} the new state, and one change per notification
+ */
+function diffWatchState(previousState, run) {
+  const previous = new Map((previousState || []).map(s => [String(s.pluginId), s]));
+  const state = new Map(previous);
+  const changes = [];
+
+  run.plugins.forEach((plugin, idx) => {
+    const result = run.results[idx];
+    if (!result || result.error) return;
+    const key = String(plugin.pluginId);
+    const before = previous.get(key);
+    const after = {
+      pluginId: plugin.pluginId,
+      name: plugin.name,
+      compatibleCount: (result.compatibleVersions || []).length,
+      recommendedVersion: result.recommendedVersion || null,
+      checkedAt: run.completedAt || new Date()
+    };
+    state.set(key, after);
+    if (!before) return;
+
+    if (!before.compatibleCount && after.compatibleCount) {
+      changes.push({ kind: 'compatible_version_available', plugin, from: null, to: after.recommendedVersion });
+    } else if (before.recommendedVersion && after.recommendedVersion &&
+               before.recommendedVersion !== after.recommendedVersion) {
+      changes.push({ kind: 'recommended_version_changed', plugin, from: before.recommendedVersion, to: after.recommendedVersion });
+    }
+  });
+
+  return { state: [...state.values()], changes };
+}
+
+function changeMessage(change, watch) {
+  const { plugin, to, from } = change;
+  if (change.kind === 'compatible_version_available') {
+    return `${plugin.name} now has a version compatible with DC ${watch.targetDCVersion}` +
+      (to ? ` (recommended: ${to})` : '');
+  }
+  return `${plugin.name}: recommended version for DC ${watch.targetDCVersion} changed from ${from} to ${to}`;
+}
+
+/** onJobFinished listener: update the watch state and notify on changes */
+async function evaluateWatchRun(run) {
+  if (!run.watchId || run.status !== 'completed') return;
+  const watch = await Watch.findById(run.watchId);
+  if (!watch) return;
+
+  const isBaseline = !watch.state.length;
+  const { state, changes } = diffWatchState(watch.state, run);
+  watch.state = state;
+  watch.lastError = null;
+  await watch.save();
+  if (isBaseline || !changes.length) return;
+
+  const recipients = watch.recipients.length ? watch.recipients : [watch.createdBy].filter(Boolean);
+  await sendNotifications(changes.map(change => ({
+    kind: change.kind,
+    message: changeMessage(change, watch),
+    recipients,
+    watchId: watch._id,
+    runId: run._id,
+    pluginId: change.plugin.pluginId,
+    data: {
+      watchName: watch.name,
+      pluginName: change.plugin.name,
+      type: watch.type,
+      targetDCVersion: watch.targetDCVersion,
+      from: change.from,
+      to: change.to
+    }
+  })));
+  console.log(`🔔 Watch "${watch.name}": ${changes.length} change(s) notified`);
+}
+
+onJobFinished(evaluateWatchRun);
+
+/** @returns {boolean} whether the in-process scheduler was started */
+function startWatchScheduler() {
+  if (!isSchedulerEnabled()) return false;
+  const tick = () => tickWatches().catch(err => console.error('⚠️  Watch scheduler tick failed:', err.message));
+  setInterval(tick, TICK_INTERVAL_MS).unref();
+  tick();
+  return true;
+}
+
+module.exports = {
+  MIN_INTERVAL_MINUTES,
+  parseWatchInput,
+  startWatchRun,
+  tickWatches,
+  diffWatchState,
+  startWatchScheduler
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Webhook payloads
+ * ================
+ *
+ * Builds the bodies utils/webhooks.js sends for a finished check run.
+ *
+ *   json   → { event, deliveryId, sentAt, run, summary, plugins, ... }, signed with
+ *            X-Webhook-Signature: sha256=HMAC(secret, "<X-Webhook-Timestamp>.<body>")
+ *   slack  → { text } incoming-webhook message (mrkdwn)
+ *   teams  → MessageCard for an Office 365 / Teams incoming webhook
+ *
+ * summary holds the same counts as the Excel report (summarizeResults()).
+ */
+
+const crypto = require('crypto');
+const { summarizeResults } = require('./excelGenerator');
+const { diffRuns, describeStatus } = require('./runDiff');
+const { productLabel } = require('./products');
+
+const WEBHOOK_EVENTS = {
+  'run.completed':       'A check run completed',
+  'plugin.incompatible': 'A plugin that was compatible in the previous run of the same check no longer is',
+  'check.error':         'A check run failed, or some plugins could not be checked'
+};
+const WEBHOOK_EVENT_NAMES = Object.keys(WEBHOOK_EVENTS);
+const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+
+// Chat messages list at most this many plugins per section
+const CHAT_LIST_LIMIT = 10;
+
+function runTargets(run) {
+  return run.targetDCVersions && run.targetDCVersions.length ? run.targetDCVersions : [run.targetDCVersion];
+}
+
+/** Shared part of every event about a run: run details, summary counts and per-plugin status */
+function runPayload(run) {
+  const stored = run.results.filter(Boolean);
+  return {
+    run: {
+      id: String(run._id),
+      type: run.type,
+      product: productLabel(run.type),
+      targetDCVersions: runTargets(run),
+      currentDCVersion: run.currentDCVersion || null,
+      runBy: run.runBy,
+      status: run.status,
+      error: run.error || null,
+      startedAt: run.startedAt,
+      completedAt: run.completedAt || null
+    },
+    summary: summarizeResults(stored),
+    plugins: run.plugins.map((plugin, idx) => {
+      const result = run.results[idx];
+      return {
+        name: plugin.name,
+        url: plugin.marketplaceUrl,
+        currentVersion: plugin.currentVersion,
+        status: result ? describeStatus(result) : 'not-checked',
+        recommendedVersion: result ? result.recommendedVersion || null : null,
+        compatibleVersionRange: result ? result.compatibleVersionRange || null : null,
+        error: result ? result.error || null : null
+      };
+    })
+  };
+}
+
+/**
+ * Events a finished run raises.
+ * @param {Object} run - Finished CheckRun
+ * @param {Object} [previousRun] - Last completed run of the same product and targets, for plugin.incompatible
+ * @returns {Object[]} [{ event, data }]
+ */
+function runEvents(run, previousRun) {
+  const base = runPayload(run);
+  const events = [];
+
+  if (run.status === 'completed') events.push({ event: 'run.completed', data: base });
+
+  if (run.status === 'completed' && previousRun) {
+    const diff = diffRuns(previousRun, run);
+    const flipped = diff.plugins.filter(p => p.compatibilityFlipped && p.statusAfter === 'not-compatible');
+    if (flipped.length) {
+      events.push({
+        event: 'plugin.incompatible',
+        data: {
+          ...base,
+          previousRunId: String(previousRun._id),
+          becameIncompatible: flipped.map(p => ({
+            name: p.pluginName,
+            url: p.pluginUrl,
+            recommendedBefore: p.recommendedBefore || null,
+            recommendedAfter: p.recommendedAfter || null
+          }))
+        }
+      });
+    }
+  }
+
+  const errors = base.plugins.filter(p => p.status === 'error');
+  if (run.status === 'failed' || (run.status === 'completed' && errors.length)) {
+    events.push({
+      event: 'check.error',
+      data: { ...base, errors: errors.map(p => ({ name: p.name, error: p.error })) }
+    });
+  }
+  return events;
+}
+
+/** Connectivity test sent by POST /api/webhooks/:id/test */
+function pingEvent(webhook) {
+  return { event: 'ping', data: { message: `Test delivery for webhook "${webhook.name}"` } };
+}
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function limitedList(items, line) {
+  const lines = items.slice(0, CHAT_LIST_LIMIT).map(line);
+  if (items.length > CHAT_LIST_LIMIT) lines.push(`…and ${items.length - CHAT_LIST_LIMIT} more`);
+  return lines;
+}
+
+/** Title and bullet lines shared by the Slack and Teams formats */
+function chatContent(payload) {
+  if (payload.event === 'ping') return { title: payload.message, lines: [] };
+
+  const { run, summary } = payload;
+  const subject = `${run.product} DC ${run.targetDCVersions.join(', ')} check`;
+  const counts = `✅ ${summary.compatible} compatible · ❌ ${summary.notCompatible} not compatible · ` +
+    `⚠️ ${summary.needsUpgrade} need upgrade · 🔴 ${summary.errors} errors`;
+
+  if (payload.event === 'plugin.incompatible') {
+    return {
+      title: `${subject}: ${payload.becameIncompatible.length} plugin(s) became incompatible`,
+      lines: limitedList(payload.becameIncompatible, p => `${p.name}` + (p.recommendedBefore ? ` (was ${p.recommendedBefore})` : ''))
+    };
+  }
+  if (payload.event === 'check.error') {
+    if (run.status === 'failed') return { title: `${subject} failed`, lines: [run.error || 'Unknown error'] };
+    return {
+      title: `${subject}: ${payload.errors.length} plugin(s) could not be checked`,
+      lines: limitedList(payload.errors, p => `${p.name}: ${p.error}`)
+    };
+  }
+  return { title: `${subject} completed (${summary.total} plugins)`, lines: [counts] };
+}
+
+/**
+ * Request body for a webhook.
+ * @param {string} format - 'json' | 'slack' | 'teams'
+ * @param {Object} payload - { event, deliveryId, sentAt, ...data }
+ */
+function formatPayload(format, payload) {
+  if (format === 'json') return payload;
+
+  const { title, lines } = chatContent(payload);
+  if (format === 'slack') {
+    return { text: [`*${title}*`, ...lines.map(l => `• ${l}`)].join('\n') };
+  }
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: title,
+    themeColor: payload.event === 'run.completed' ? '16A34A' : 'DC2626',
+    title,
+    text: lines.map(l => `- ${l}`).join('\n\n')
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_NAMES,
+  WEBHOOK_FORMATS,
+  runEvents,
+  pingEvent,
+  signPayload,
+  formatPayload
+};
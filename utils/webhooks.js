@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * Outbound webhooks
+ * =================
+ *
+ * When a check job finishes, each enabled Webhook whose event filter and
+ * product filter match gets one WebhookDelivery per event (see
+ * utils/webhookPayloads.js for the bodies). A delivery is tried at once and,
+ * until it gets a 2xx reply, again after 1 minute, 5 minutes, 30 minutes and
+ * 2 hours; then it is marked failed. The deliveries are the delivery log.
+ *
+ * Request headers:
+ *   X-Webhook-Event, X-Webhook-Delivery (delivery ID, stable across retries),
+ *   X-Webhook-Timestamp (Unix seconds), X-Webhook-Signature (sha256=…)
+ *
+ * Retries run on an in-process timer (as JOB_BACKGROUND) or through
+ * GET /api/cron/webhooks, which the cron in vercel.json calls every minute.
+ */
+
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const CheckRun = require('../models/CheckRun');
+const { PRODUCT_TYPES } = require('./products');
+const { WEBHOOK_EVENT_NAMES, WEBHOOK_FORMATS, runEvents, pingEvent, signPayload, formatPayload } = require('./webhookPayloads');
+const { onJobFinished, isBackgroundEnabled } = require('./checkJobs');
+
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_PREVIEW_CHARS = 500;
+const RETRY_INTERVAL_MS = 60 * 1000;
+const RETRY_BATCH = 50;
+
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Validated webhook fields from a request body.
+ * @param {boolean} [options.partial] - Only fields present in the body (updates)
+ * @throws {Error} with a message suitable for a 400 response
+ */
+function parseWebhookInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  const has = key => body[key] !== undefined;
+  const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => String(v).trim()).filter(Boolean);
+
+  if (!partial || has('name')) {
+    fields.name = String(body.name || '').trim();
+    if (!fields.name) throw new Error('name is required.');
+  }
+  if (!partial || has('url')) {
+    fields.url = String(body.url || '').trim();
+    if (!isHttpUrl(fields.url)) throw new Error('url must be an http(s) URL.');
+  }
+  if (has('events')) {
+    fields.events = [...new Set(list(body.events))];
+    const unknown = fields.events.filter(e => !WEBHOOK_EVENT_NAMES.includes(e));
+    if (unknown.length || !fields.events.length) {
+      throw new Error(`events must list one or more of: ${WEBHOOK_EVENT_NAMES.join(', ')}.`);
+    }
+  }
+  if (has('productTypes')) {
+    fields.productTypes = [...new Set(list(body.productTypes))];
+    const unknown = fields.productTypes.filter(t => !PRODUCT_TYPES.includes(t));
+    if (unknown.length) throw new Error(`Unknown product types: ${unknown.join(', ')}.`);
+  }
+  if (has('format')) {
+    if (!WEBHOOK_FORMATS.includes(body.format)) throw new Error(`format must be one of: ${WEBHOOK_FORMATS.join(', ')}.`);
+    fields.format = body.format;
+  }
+  if (has('enabled')) fields.enabled = body.enabled === true || body.enabled === 'true';
+  if (has('secret')) {
+    fields.secret = String(body.secret || '');
+    if (fields.secret.length < 16) throw new Error('secret must be at least 16 characters.');
+  }
+  return fields;
+}
+
+/**
+ * nextAttemptAt for a delivery whose attempt is in flight: past the request
+ * timeout, so retryDueDeliveries() leaves it alone until the attempt settles
+ */
+function claimedUntil() {
+  return new Date(Date.now() + 2 * REQUEST_TIMEOUT_MS);
+}
+
+/** Store a pending delivery, claimed for the first attempt; its ID is part of the payload */
+async function queueDelivery(webhook, { event, data }, runId) {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id, event, runId: runId || null, body: '{}', nextAttemptAt: claimedUntil()
+  });
+  const payload = { event, deliveryId: String(delivery._id), sentAt: new Date().toISOString(), ...data };
+  delivery.body = JSON.stringify(formatPayload(webhook.format, payload));
+  return delivery.save();
+}
+
+/** POST the delivery once and record the outcome; never throws */
+async function attemptDelivery(delivery, webhook) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const outcome = { responseStatus: null, responseBody: null, error: null };
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Atlassian-Compat-Checker-Webhook',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.body)
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    outcome.responseStatus = response.status;
+    outcome.responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_PREVIEW_CHARS);
+    if (!response.ok) outcome.error = `HTTP ${response.status}`;
+  } catch (err) {
+    outcome.error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  let status = 'success';
+  let nextAttemptAt = null;
+  if (outcome.error) {
+    status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    if (status === 'pending') nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]);
+  }
+
+  Object.assign(delivery, outcome, { attempts, status, nextAttemptAt, lastAttemptAt: new Date(), durationMs: Date.now() - started });
+  try {
+    await delivery.save();
+  } catch (err) {
+    console.error(`⚠️  Webhook delivery ${delivery._id} not recorded:`, err.message);
+  }
+  if (outcome.error) {
+    console.error(`⚠️  Webhook "${webhook.name}" ${delivery.event}: ${outcome.error}` +
+      (status === 'pending' ? ` (attempt ${attempts}/${MAX_ATTEMPTS}, will retry)` : ''));
+  }
+  return delivery;
+}
+
+/** Previous completed run of the same product and target, for plugin.incompatible */
+async function previousCompletedRun(run) {
+  return CheckRun.findOne({
+    _id: { $ne: run._id },
+    type: run.type,
+    status: 'completed',
+    targetDCVersion: run.targetDCVersion,
+    startedAt: { $lt: run.startedAt }
+  }).sort({ startedAt: -1 });
+}
+
+/** onJobFinished listener: queue and send the run's events to matching webhooks */
+async function dispatchRunEvents(run) {
+  if (run.status === 'cancelled') return;
+  const webhooks = await Webhook.find({
+    enabled: true,
+    $or: [{ productTypes: { $size: 0 } }, { productTypes: run.type }]
+  });
+  if (!webhooks.length) return;
+
+  const wantsDiff = webhooks.some(w => w.events.includes('plugin.incompatible'));
+  const previous = wantsDiff && run.status === 'completed' ? await previousCompletedRun(run) : null;
+  const events = runEvents(run, previous);
+
+  const sends = [];
+  for (const webhook of webhooks) {
+    for (const event of events.filter(e => webhook.events.includes(e.event))) {
+      sends.push(queueDelivery(webhook, event, run._id).then(delivery => attemptDelivery(delivery, webhook)));
+    }
+  }
+  const outcomes = await Promise.allSettled(sends);
+  for (const o of outcomes) {
+    if (o.status === 'rejected') console.error(`⚠️  Webhook delivery for run ${run._id} not queued:`, o.reason.message);
+  }
+}
+
+onJobFinished(dispatchRunEvents);
+
+/** Send a ping to one webhook and return the recorded delivery */
+async function sendTestDelivery(webhook) {
+  const delivery = await queueDelivery(webhook, pingEvent(webhook), null);
+  return attemptDelivery(delivery, webhook);
+}
+
+/** A stored body with its deliveryId (JSON format only) set to a new delivery's ID */
+function withDeliveryId(body, deliveryId) {
+  try {
+    const payload = JSON.parse(body);
+    if (!payload || typeof payload !== 'object' || !('deliveryId' in payload)) return body;
+    return JSON.stringify({ ...payload, deliveryId: String(deliveryId) });
+  } catch (_) {
+    return body;
+  }
+}
+
+/** Send a stored delivery's body again as a new delivery */
+async function redeliver(delivery, webhook) {
+  const copy = new WebhookDelivery({
+    webhookId: webhook._id,
+    event: delivery.event,
+    runId: delivery.runId,
+    body: delivery.body,
+    nextAttemptAt: claimedUntil()
+  });
+  copy.body = withDeliveryId(delivery.body, copy._id);
+  await copy.save();
+  return attemptDelivery(copy, webhook);
+}
+
+/**
+ * Retry pending deliveries whose next attempt is due.
+ * @returns {Promise<number>} deliveries attempted
+ */
+async function retryDueDeliveries() {
+  let attempted = 0;
+  const webhooks = new Map();
+  while (attempted < RETRY_BATCH) {
+    const now = new Date();
+    // Pushing nextAttemptAt past the request timeout claims the delivery for this process
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: claimedUntil() } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    const key = String(delivery.webhookId);
+    if (!webhooks.has(key)) webhooks.set(key, await Webhook.findById(delivery.webhookId));
+    const webhook = webhooks.get(key);
+    if (!webhook || !webhook.enabled) {
+      delivery.status = 'failed';
+      delivery.error = 'Webhook was deleted or disabled';
+      await delivery.save();
+      continue;
+    }
+    await attemptDelivery(delivery, webhook);
+    attempted++;
+  }
+  return attempted;
+}
+
+/** @returns {boolean} whether the in-process retry timer was started */
+function startWebhookRetries() {
+  if (!isBackgroundEnabled()) return false;
+  setInterval(() => {
+    retryDueDeliveries().catch(err => console.error('⚠️  Webhook retry pass failed:', err.message));
+  }, RETRY_INTERVAL_MS).unref();
+  return true;
+}
+
+module.exports = {
+  generateWebhookSecret,
+  parseWebhookInput,
+  sendTestDelivery,
+  redeliver,
+  retryDueDeliveries,
+  startWebhookRetries
+};